@@ -9,68 +9,132 @@ document.addEventListener('DOMContentLoaded', () => {
     const initialWidth = layoutHost ? layoutHost.clientWidth : canvas.clientWidth;
     const initialHeight = layoutHost ? layoutHost.clientHeight : canvas.clientHeight;
 
-    // Exercise type definitions
+    // Translations: t(key, params) reads the active locale's catalog from i18n.js; applyLocale() switches it
+    let locale = i18n.DEFAULT_LOCALE;
+    let t = i18n.createTranslator(locale);
+
+    // Phases carry a semantic kind that decides behavior; the name is only the label shown
+    const phaseKinds = ['inhale', 'hold', 'exhale', 'rest'];
+
+    function createPhase(kind, duration) {
+        return { kind, name: t(`phase.${kind}`), duration, color: getPaletteColor(kind) };
+    }
+
+    // Exercise type definitions. Each phase of a built-in exercise can be set within its range,
+    // and the defaults make up the classic pattern. phaseTimeRange is the range of the pace that
+    // progressive pacing, programs and the resonance assessment set (see getPaceOf)
     const exerciseTypes = {
         box: {
-            name: 'Box Breathing',
-            description: 'Equal phases for balance and calm',
-            getPhases: (phaseTime) => [
-                { name: 'Inhale', duration: phaseTime, color: '#f97316' },
-                { name: 'Hold', duration: phaseTime, color: '#fbbf24' },
-                { name: 'Exhale', duration: phaseTime, color: '#38bdf8' },
-                { name: 'Wait', duration: phaseTime, color: '#22c55e' }
+            get name() { return t('exercise.box.name'); },
+            get description() { return t('exercise.box.description'); },
+            phaseRanges: [
+                { kind: 'inhale', min: 2, max: 8, step: 0.1, default: 4 },
+                { kind: 'hold', min: 2, max: 8, step: 0.1, default: 4 },
+                { kind: 'exhale', min: 2, max: 8, step: 0.1, default: 4 },
+                { kind: 'rest', min: 2, max: 8, step: 0.1, default: 4 }
             ],
-            hasPhaseTimeSlider: true,
             phaseTimeRange: { min: 3, max: 6, step: 1, default: 4 },
-            phaseTimeLabel: 'Phase Time'
+            get phaseTimeLabel() { return t('exercise.box.paceLabel'); }
         },
         fourSevenEight: {
-            name: '4-7-8 Breathing',
-            description: 'Relaxation and sleep aid',
-            getPhases: () => [
-                { name: 'Inhale', duration: 4, color: '#f97316' },
-                { name: 'Hold', duration: 7, color: '#fbbf24' },
-                { name: 'Exhale', duration: 8, color: '#38bdf8' }
-            ],
-            hasPhaseTimeSlider: false
+            get name() { return t('exercise.fourSevenEight.name'); },
+            get description() { return t('exercise.fourSevenEight.description'); },
+            // From half to double the classic counts, so scaled versions like 2-3.5-4 fit
+            phaseRanges: [
+                { kind: 'inhale', min: 2, max: 8, step: 0.1, default: 4 },
+                { kind: 'hold', min: 3.5, max: 14, step: 0.1, default: 7 },
+                { kind: 'exhale', min: 4, max: 16, step: 0.1, default: 8 }
+            ]
         },
         longExhale: {
-            name: 'Long Exhale',
-            description: 'Extended exhale for relaxation',
-            getPhases: (_, exhaleDuration) => [
-                { name: 'Inhale', duration: 4, color: '#f97316' },
-                { name: 'Exhale', duration: exhaleDuration, color: '#38bdf8' }
+            get name() { return t('exercise.longExhale.name'); },
+            get description() { return t('exercise.longExhale.description'); },
+            phaseRanges: [
+                { kind: 'inhale', min: 2, max: 6, step: 0.1, default: 4 },
+                { kind: 'exhale', min: 6, max: 12, step: 0.1, default: 6 }
             ],
-            hasPhaseTimeSlider: true,
             phaseTimeRange: { min: 6, max: 8, step: 1, default: 6 },
-            phaseTimeLabel: 'Exhale Time',
-            phaseTimeUnit: 'seconds'
+            get phaseTimeLabel() { return t('exercise.longExhale.paceLabel'); },
+            supportsRamp: true
         },
         coherent: {
-            name: 'Coherent Breathing',
-            description: 'Equal inhale and exhale for HRV',
-            getPhases: (phaseTime) => [
-                { name: 'Inhale', duration: phaseTime, color: '#f97316' },
-                { name: 'Exhale', duration: phaseTime, color: '#38bdf8' }
+            get name() { return t('exercise.coherent.name'); },
+            get description() { return t('exercise.coherent.description'); },
+            phaseRanges: [
+                { kind: 'inhale', min: 3, max: 9, step: 0.1, default: 5 },
+                { kind: 'exhale', min: 3, max: 9, step: 0.1, default: 5 }
             ],
-            hasPhaseTimeSlider: true,
-            phaseTimeRange: { min: 4.5, max: 6, step: 0.5, default: 5 },
-            phaseTimeLabel: 'Breath Time'
+            phaseTimeRange: { min: 4.5, max: 6.5, step: 0.5, default: 5 },
+            get phaseTimeLabel() { return t('exercise.coherent.paceLabel'); },
+            supportsRamp: true
         }
     };
 
+    // Phase color palettes for the built-in exercises, keyed by phase kind. The colorblind-safe
+    // sets come from the Okabe-Ito and IBM palettes, which stay distinct under common color blindness
+    const phasePalettes = {
+        warm: { name: 'palette.warm', colors: { inhale: '#f97316', hold: '#fbbf24', exhale: '#38bdf8', rest: '#22c55e' } },
+        okabeIto: { name: 'palette.okabeIto', colors: { inhale: '#e69f00', hold: '#f0e442', exhale: '#56b4e9', rest: '#cc79a7' } },
+        ibm: { name: 'palette.ibm', colors: { inhale: '#fe6100', hold: '#ffb000', exhale: '#648fff', rest: '#dc267f' } },
+        highContrast: { name: 'palette.highContrast', colors: { inhale: '#ffffff', hold: '#ffff00', exhale: '#00ffff', rest: '#ff00ff' } }
+    };
+    const CUSTOM_PALETTE = 'custom';
+
+    // User-defined patterns are stored with the settings and exposed through
+    // the same shape as the built-in exercise types
+    const CUSTOM_PREFIX = 'custom-';
+    const customPhaseRange = { min: 0.5, max: 60, step: 0.1 };
+
+    function getPaletteColor(kind) {
+        const colors = state.phasePalette === CUSTOM_PALETTE ? state.customPalette : phasePalettes[state.phasePalette].colors;
+        return colors[kind] || phasePalettes.warm.colors[kind] || colors.inhale;
+    }
+
+    // New custom-pattern phases cycle through the kinds in breathing order
+    function getSuggestedPhaseKind(index) {
+        return phaseKinds[index % phaseKinds.length];
+    }
+
+    // Whether the name is the kind's label in any language, rather than one the user chose
+    function isPhaseLabel(name, kind) {
+        const label = String(name).trim().toLowerCase();
+        return Object.values(i18n.catalogs).some(catalog => catalog.messages[`phase.${kind}`].toLowerCase() === label);
+    }
+
+    // Patterns saved before phases had a kind are matched on their name; anything else is a hold
+    function inferPhaseKind(name) {
+        return phaseKinds.find(kind => isPhaseLabel(name, kind)) || 'hold';
+    }
+
     const state = {
         isPlaying: false,
         count: 0,
         countdown: 4,
         totalTime: 0,
         soundEnabled: false,
+        toneStyle: 'chime',
+        voiceEnabled: false,
+        ambientType: 'off',
+        ambientVolume: 40,
         countdownEnabled: false,
+        hapticsEnabled: false,
+        biofeedbackEnabled: false,
+        breathStatus: 'off',
+        adherence: null,
+        heartRateStatus: 'disconnected',
+        heartRateDevice: '',
+        heartRateBpm: null,
+        hrvResult: null,
+        visualGuide: 'auto',
+        theme: 'system',
+        phasePalette: 'warm',
+        customPalette: { ...phasePalettes.warm.colors },
+        language: 'auto',
         timeLimit: '',
         sessionComplete: false,
         timeLimitReached: false,
-        phaseTime: 4,
-        exhaleDuration: 6,
+        phaseDurations: [4, 4, 4, 4],
+        keepPhaseRatio: true,
         exerciseType: 'box',
         pulseStartTime: null,
         devicePixelRatio: Math.min(window.devicePixelRatio || 1, 1.75),
@@ -78,23 +142,460 @@ document.addEventListener('DOMContentLoaded', () => {
         viewportHeight: initialHeight,
         prefersReducedMotion: false,
         hasStarted: false,
-        startTime: null,
         targetRounds: 0,
         completedRounds: 0,
-        readyToEndAfterExhale: false
+        isPaused: false,
+        phaseProgress: 0,
+        rampEnabled: false,
+        rampStart: 5,
+        rampTarget: 6,
+        rampMinutes: 5,
+        activeRamp: null,
+        exerciseSettings: {},
+        customPatterns: [],
+        programs: [],
+        reminders: [],
+        program: null,
+        assessment: null,
+        assessmentResult: null,
+        editingProgram: null,
+        view: 'main',
+        editingPattern: null,
+        editorError: '',
+        sessionStartedAt: null,
+        historyRecords: null,
+        historyError: '',
+        backupMessage: ''
+    };
+
+    function isHexColor(value) {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    }
+
+    function clampPhaseDuration(value) {
+        const clamped = Math.max(customPhaseRange.min, Math.min(customPhaseRange.max, value));
+        return Math.round(clamped * 10) / 10;
+    }
+
+    function sanitizeCustomPhase(raw) {
+        if (!raw || typeof raw.name !== 'string' || !raw.name.trim()) {
+            return null;
+        }
+        const duration = Number(raw.duration);
+        if (!Number.isFinite(duration) || duration <= 0) {
+            return null;
+        }
+        const kind = phaseKinds.includes(raw.kind) ? raw.kind : inferPhaseKind(raw.name);
+        return {
+            kind,
+            name: raw.name.trim().slice(0, 24),
+            duration: clampPhaseDuration(duration),
+            color: isHexColor(raw.color) ? raw.color : getPaletteColor(kind)
+        };
+    }
+
+    function sanitizeCustomPattern(raw) {
+        if (!raw || typeof raw.id !== 'string' || !raw.id || !Array.isArray(raw.phases)) {
+            return null;
+        }
+        const phases = raw.phases.map(sanitizeCustomPhase);
+        if (phases.length === 0 || phases.some(phase => phase === null)) {
+            return null;
+        }
+        const name = typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim().slice(0, 32) : t('pattern.defaultName');
+        return { id: raw.id, name, phases };
+    }
+
+    function formatSeconds(value) {
+        return Number.isInteger(value) ? `${value}` : value.toFixed(1);
+    }
+
+    function buildCustomExercise(pattern) {
+        return {
+            name: pattern.name,
+            description: t('pattern.description', { durations: pattern.phases.map(phase => formatSeconds(phase.duration)).join('-') }),
+            getPhases: () => pattern.phases.map(phase => ({ ...phase })),
+            isCustom: true,
+            patternId: pattern.id
+        };
+    }
+
+    function getExercise(type) {
+        if (exerciseTypes[type]) {
+            return exerciseTypes[type];
+        }
+        if (typeof type === 'string' && type.startsWith(CUSTOM_PREFIX)) {
+            const id = type.slice(CUSTOM_PREFIX.length);
+            const pattern = state.customPatterns.find(p => p.id === id);
+            if (pattern) {
+                return buildCustomExercise(pattern);
+            }
+        }
+        return null;
+    }
+
+    // Programs chain several exercises into one session, each stage ending on a time or rounds limit
+    const sessionLimitRange = { min: 1, max: 120, step: 1 };
+
+    function clampToRange(value, range) {
+        const stepped = Math.round((value - range.min) / range.step) * range.step + range.min;
+        const clamped = Math.max(range.min, Math.min(range.max, stepped));
+        return Math.round(clamped * 100) / 100;
+    }
+
+    function getPaceRange(type) {
+        const exercise = getExercise(type);
+        return exercise && exercise.phaseTimeRange ? exercise.phaseTimeRange : null;
+    }
+
+    function getDefaultDurations(type) {
+        return exerciseTypes[type].phaseRanges.map(range => range.default);
+    }
+
+    // Phase durations for a built-in exercise moved into each phase's range and onto its step,
+    // or null unless there is a number for each phase
+    function clampPhaseDurations(type, raw) {
+        const ranges = exerciseTypes[type].phaseRanges;
+        if (!Array.isArray(raw) || raw.length !== ranges.length || !raw.every(Number.isFinite)) {
+            return null;
+        }
+        return raw.map((value, index) => clampToRange(value, ranges[index]));
+    }
+
+    // Stored phase durations, or null unless there is one in range for each phase. Valid values
+    // are only rounded onto the slider step.
+    function sanitizePhaseDurations(type, raw) {
+        const ranges = exerciseTypes[type].phaseRanges;
+        const inRange = Array.isArray(raw) && raw.length === ranges.length
+            && raw.every((value, index) => typeof value === 'number' && value >= ranges[index].min && value <= ranges[index].max);
+        return inRange ? clampPhaseDurations(type, raw) : null;
+    }
+
+    // Scales every phase by the same factor, limited so that none leaves its range, and
+    // rounds each to its slider step
+    function scalePhaseDurations(type, durations, factor) {
+        const ranges = exerciseTypes[type].phaseRanges;
+        const lowest = Math.max(...ranges.map((range, index) => range.min / durations[index]));
+        const highest = Math.min(...ranges.map((range, index) => range.max / durations[index]));
+        const scale = Math.max(lowest, Math.min(highest, factor));
+        return durations.map((duration, index) => clampToRange(duration * scale, ranges[index]));
+    }
+
+    // The pace is the exhale for long exhale and the average phase for the others
+    function getPaceOf(type, durations) {
+        if (type === 'longExhale') {
+            return durations[1];
+        }
+        return durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+    }
+
+    // Durations at a new pace, keeping the ratio between phases
+    function withPace(type, durations, pace) {
+        if (type === 'longExhale') {
+            const range = exerciseTypes.longExhale.phaseRanges[1];
+            return [durations[0], clampToRange(pace, range)];
+        }
+        return scalePhaseDurations(type, durations, pace / getPaceOf(type, durations));
+    }
+
+    function sanitizeProgramStage(raw) {
+        if (!raw || !getExercise(raw.exerciseType)) {
+            return null;
+        }
+        const limitValue = Number.parseInt(raw.limitValue, 10);
+        if (!Number.isFinite(limitValue) || limitValue < sessionLimitRange.min) {
+            return null;
+        }
+        const range = getPaceRange(raw.exerciseType);
+        const pace = Number(raw.pace);
+        return {
+            exerciseType: raw.exerciseType,
+            pace: range ? clampToRange(Number.isFinite(pace) ? pace : range.default, range) : null,
+            limitType: raw.limitType === 'rounds' ? 'rounds' : 'minutes',
+            limitValue: Math.min(limitValue, sessionLimitRange.max)
+        };
+    }
+
+    function sanitizeProgram(raw) {
+        if (!raw || typeof raw.id !== 'string' || !raw.id || !Array.isArray(raw.stages)) {
+            return null;
+        }
+        const stages = raw.stages.map(sanitizeProgramStage).filter(stage => stage !== null);
+        if (stages.length === 0) {
+            return null;
+        }
+        const name = typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim().slice(0, 32) : t('program.defaultName');
+        return { id: raw.id, name, stages };
+    }
+
+    // Stages use the durations the user chose for the exercise, moved to the stage's pace
+    function getStageSettings(stage) {
+        const saved = exerciseTypes[stage.exerciseType]
+            ? state.exerciseSettings[stage.exerciseType] || sanitizeExerciseSettings(stage.exerciseType, {})
+            : null;
+        const phaseDurations = saved ? saved.phases : [];
+        return {
+            exerciseType: stage.exerciseType,
+            phaseDurations: stage.pace !== null ? withPace(stage.exerciseType, phaseDurations, stage.pace) : [...phaseDurations]
+        };
+    }
+
+    // Reminders repeat at a local HH:MM time on the chosen weekdays (0 is Sunday, as in Date#getDay)
+    function sanitizeReminder(raw) {
+        if (!raw || typeof raw.id !== 'string' || !raw.id || !Array.isArray(raw.days)
+            || typeof raw.time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(raw.time)) {
+            return null;
+        }
+        const days = [...new Set(raw.days)]
+            .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+            .sort((a, b) => a - b);
+        const limit = Number.parseInt(raw.limit, 10);
+        return {
+            id: raw.id,
+            time: raw.time,
+            days,
+            exerciseType: getExercise(raw.exerciseType) ? raw.exerciseType : 'box',
+            limit: Number.isFinite(limit) && limit >= sessionLimitRange.min ? Math.min(limit, sessionLimitRange.max) : 0,
+            enabled: raw.enabled !== false
+        };
+    }
+
+    // Progressive pacing moves the exercise's adjustable duration from a start to a target value
+    const rampMinutesRange = { min: 1, max: 60, step: 1 };
+
+    function getRampDefaults(type) {
+        const range = getPaceRange(type);
+        return range ? { rampStart: range.default, rampTarget: range.max } : null;
+    }
+
+    function getExerciseEntries() {
+        return [
+            ...Object.entries(exerciseTypes),
+            ...state.customPatterns.map(pattern => [`${CUSTOM_PREFIX}${pattern.id}`, buildCustomExercise(pattern)])
+        ];
+    }
+
+    // Option lists map stored values to message keys
+    const toneStyles = {
+        chime: 'tone.chime',
+        phase: 'tone.phase',
+        swell: 'tone.swell'
+    };
+    const ambientTypes = {
+        off: 'ambient.off',
+        pink: 'ambient.pink',
+        brown: 'ambient.brown'
+    };
+
+    // Page colors are CSS custom properties switched by data-theme; these are the few colors
+    // the canvas and browser chrome need from JavaScript
+    const themes = {
+        dark: { name: 'theme.dark', background: '#000000', track: 'rgba(255, 237, 213, 0.15)', complete: '#4ade80' },
+        light: { name: 'theme.light', background: '#fffbf5', track: 'rgba(28, 25, 23, 0.2)', complete: '#15803d' },
+        'high-contrast': { name: 'theme.highContrast', background: '#000000', track: 'rgba(255, 255, 255, 0.5)', complete: '#00ff7f' }
+    };
+    const themeOptions = {
+        system: 'theme.system',
+        ...Object.fromEntries(Object.entries(themes).map(([key, theme]) => [key, theme.name]))
+    };
+
+    const visualGuides = {
+        auto: 'guide.auto',
+        square: 'guide.square',
+        circle: 'guide.circle',
+        triangle: 'guide.triangle',
+        glow: 'guide.glow'
     };
 
     // Settings persistence
     const STORAGE_KEY = 'breathingExercisesSettings';
 
+    // Version 2 keeps pace and ramp values per exercise; version 1 stored one flat set.
+    // Version 3 keys the custom palette by phase kind instead of English phase name.
+    // Version 4 stores each phase's duration instead of one pace per exercise.
+    const SETTINGS_VERSION = 4;
+
+    // The values the user chose, not the ones a running program or ramp has swapped in
+    function getChosenSettings() {
+        const saved = state.program || state.assessment;
+        const chosen = saved
+            ? { ...saved.savedSettings }
+            : { exerciseType: state.exerciseType, phaseDurations: [...state.phaseDurations] };
+        if (state.activeRamp) {
+            chosen.phaseDurations = [...state.activeRamp.savedDurations];
+        }
+        return chosen;
+    }
+
+    function sanitizeExerciseSettings(type, raw) {
+        if (!exerciseTypes[type] || !raw || typeof raw !== 'object') {
+            return null;
+        }
+        const entry = { phases: sanitizePhaseDurations(type, raw.phases) || getDefaultDurations(type) };
+        if (getExercise(type).supportsRamp) {
+            const range = getPaceRange(type);
+            const inRange = (value, fallback) => (typeof value === 'number' && value >= range.min && value <= range.max
+                ? clampToRange(value, range)
+                : fallback);
+            const defaults = getRampDefaults(type);
+            entry.rampStart = inRange(raw.rampStart, defaults.rampStart);
+            entry.rampTarget = inRange(raw.rampTarget, defaults.rampTarget);
+        }
+        return entry;
+    }
+
+    // Stores the selected exercise's durations and ramp so switching back restores them
+    function rememberExerciseSettings() {
+        const chosen = getChosenSettings();
+        if (!exerciseTypes[chosen.exerciseType]) {
+            return;
+        }
+        const entry = { phases: chosen.phaseDurations };
+        if (getExercise(chosen.exerciseType).supportsRamp) {
+            entry.rampStart = state.rampStart;
+            entry.rampTarget = state.rampTarget;
+        }
+        state.exerciseSettings[chosen.exerciseType] = entry;
+    }
+
+    function restoreExerciseSettings(type) {
+        if (!exerciseTypes[type]) {
+            return;
+        }
+        const saved = state.exerciseSettings[type] || sanitizeExerciseSettings(type, {});
+        state.phaseDurations = [...saved.phases];
+        if (getExercise(type).supportsRamp) {
+            state.rampStart = saved.rampStart;
+            state.rampTarget = saved.rampTarget;
+        }
+    }
+
+    function selectExercise(type) {
+        rememberExerciseSettings();
+        state.exerciseType = type;
+        restoreExerciseSettings(type);
+    }
+
+    // Each migration upgrades stored settings from the version before it
+    const settingsMigrations = {
+        2: settings => {
+            const { phaseTime, exhaleDuration, rampStart, rampTarget, ...rest } = settings;
+            const exercises = {};
+            // The flat values belonged to whichever exercise was selected
+            if (getPaceRange(settings.exerciseType)) {
+                exercises[settings.exerciseType] = {
+                    pace: settings.exerciseType === 'longExhale' ? exhaleDuration : phaseTime,
+                    rampStart,
+                    rampTarget
+                };
+            }
+            return { ...rest, version: 2, exercises };
+        },
+        3: settings => {
+            const kindsByName = { Inhale: 'inhale', Hold: 'hold', Exhale: 'exhale', Wait: 'rest' };
+            const customPalette = {};
+            Object.entries(settings.customPalette || {}).forEach(([name, color]) => {
+                if (kindsByName[name]) {
+                    customPalette[kindsByName[name]] = color;
+                }
+            });
+            return { ...settings, version: 3, customPalette };
+        },
+        4: settings => {
+            const exercises = {};
+            Object.entries(settings.exercises || {}).forEach(([type, entry]) => {
+                if (!exerciseTypes[type] || !entry) {
+                    return;
+                }
+                const { pace, ...rest } = entry;
+                // A pace that isn't valid falls back to the defaults rather than the nearest edge
+                const range = getPaceRange(type);
+                const isValid = range && Number.isFinite(pace) && pace >= range.min && pace <= range.max;
+                exercises[type] = { ...rest, phases: isValid ? withPace(type, getDefaultDurations(type), pace) : getDefaultDurations(type) };
+            });
+            return { ...settings, version: 4, exercises };
+        }
+    };
+
+    function migrateSettings(settings) {
+        let version = Number.isInteger(settings.version) ? settings.version : 1;
+        let migrated = settings;
+        while (version < SETTINGS_VERSION) {
+            version++;
+            migrated = settingsMigrations[version](migrated);
+        }
+        return migrated;
+    }
+
+    // Settings a deep link changed for this visit, as { path, stored, launched }
+    let launchOverrides = [];
+
+    function getSettingPath(settings, path) {
+        return path.reduce((value, key) => (value ? value[key] : undefined), settings);
+    }
+
+    function isSameSetting(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    function recordLaunchOverrides(stored, launched) {
+        const paths = [
+            ...Object.keys(launched).filter(key => key !== 'exercises').map(key => [key]),
+            ...Object.keys(launched.exercises).map(type => ['exercises', type])
+        ];
+        launchOverrides = paths
+            .map(path => ({ path, stored: getSettingPath(stored, path), launched: getSettingPath(launched, path) }))
+            .filter(override => !isSameSetting(override.stored, override.launched));
+    }
+
+    // Puts the stored values back in place of launched ones the user hasn't changed since,
+    // so a deep link never rewrites what is saved
+    function withoutLaunchOverrides(settings) {
+        launchOverrides = launchOverrides.filter(({ path, launched }) => isSameSetting(getSettingPath(settings, path), launched));
+        launchOverrides.forEach(({ path: [key, type], stored }) => {
+            if (type === undefined) {
+                settings[key] = stored;
+            } else if (stored === undefined) {
+                delete settings[key][type];
+            } else {
+                settings[key][type] = stored;
+            }
+        });
+        return settings;
+    }
+
+    function getSettingsSnapshot() {
+        rememberExerciseSettings();
+        return withoutLaunchOverrides({
+            version: SETTINGS_VERSION,
+            soundEnabled: state.soundEnabled,
+            toneStyle: state.toneStyle,
+            voiceEnabled: state.voiceEnabled,
+            ambientType: state.ambientType,
+            ambientVolume: state.ambientVolume,
+            countdownEnabled: state.countdownEnabled,
+            hapticsEnabled: state.hapticsEnabled,
+            biofeedbackEnabled: state.biofeedbackEnabled,
+            keepPhaseRatio: state.keepPhaseRatio,
+            visualGuide: state.visualGuide,
+            theme: state.theme,
+            phasePalette: state.phasePalette,
+            customPalette: { ...state.customPalette },
+            language: state.language,
+            exerciseType: getChosenSettings().exerciseType,
+            rampEnabled: state.rampEnabled,
+            rampMinutes: state.rampMinutes,
+            exercises: { ...state.exerciseSettings }
+        });
+    }
+
     function saveSettings() {
         try {
             const settings = {
-                soundEnabled: state.soundEnabled,
-                countdownEnabled: state.countdownEnabled,
-                exerciseType: state.exerciseType,
-                phaseTime: state.phaseTime,
-                exhaleDuration: state.exhaleDuration
+                ...getSettingsSnapshot(),
+                customPatterns: state.customPatterns,
+                programs: state.programs,
+                reminders: state.reminders
             };
             localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
         } catch (e) {
@@ -102,25 +603,100 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Applies stored or imported settings in the current schema, keeping only values of the expected type and range
+    function applySettings(settings) {
+        if (typeof settings.soundEnabled === 'boolean') {
+            state.soundEnabled = settings.soundEnabled;
+        }
+        if (toneStyles[settings.toneStyle]) {
+            state.toneStyle = settings.toneStyle;
+        }
+        if (typeof settings.voiceEnabled === 'boolean') {
+            state.voiceEnabled = settings.voiceEnabled;
+        }
+        if (ambientTypes[settings.ambientType]) {
+            state.ambientType = settings.ambientType;
+        }
+        if (typeof settings.ambientVolume === 'number' && settings.ambientVolume >= 0 && settings.ambientVolume <= 100) {
+            state.ambientVolume = settings.ambientVolume;
+        }
+        if (typeof settings.countdownEnabled === 'boolean') {
+            state.countdownEnabled = settings.countdownEnabled;
+        }
+        if (typeof settings.hapticsEnabled === 'boolean') {
+            state.hapticsEnabled = settings.hapticsEnabled;
+        }
+        if (typeof settings.biofeedbackEnabled === 'boolean') {
+            state.biofeedbackEnabled = settings.biofeedbackEnabled;
+        }
+        if (typeof settings.keepPhaseRatio === 'boolean') {
+            state.keepPhaseRatio = settings.keepPhaseRatio;
+        }
+        if (visualGuides[settings.visualGuide]) {
+            state.visualGuide = settings.visualGuide;
+        }
+        if (themeOptions[settings.theme]) {
+            state.theme = settings.theme;
+        }
+        if (settings.customPalette && typeof settings.customPalette === 'object') {
+            phaseKinds.forEach(kind => {
+                if (isHexColor(settings.customPalette[kind])) {
+                    state.customPalette[kind] = settings.customPalette[kind];
+                }
+            });
+        }
+        if (phasePalettes[settings.phasePalette] || settings.phasePalette === CUSTOM_PALETTE) {
+            state.phasePalette = settings.phasePalette;
+        }
+        if (settings.language === 'auto' || i18n.catalogs[settings.language]) {
+            state.language = settings.language;
+        }
+        if (settings.exercises && typeof settings.exercises === 'object') {
+            Object.entries(settings.exercises).forEach(([type, raw]) => {
+                const entry = sanitizeExerciseSettings(type, raw);
+                if (entry) {
+                    state.exerciseSettings[type] = entry;
+                }
+            });
+        }
+        if (settings.exerciseType && getExercise(settings.exerciseType)) {
+            state.exerciseType = settings.exerciseType;
+        }
+        restoreExerciseSettings(state.exerciseType);
+        if (typeof settings.rampEnabled === 'boolean') {
+            state.rampEnabled = settings.rampEnabled;
+        }
+        if (typeof settings.rampMinutes === 'number') {
+            state.rampMinutes = clampToRange(settings.rampMinutes, rampMinutesRange);
+        }
+    }
+
     function loadSettings() {
         try {
             const saved = localStorage.getItem(STORAGE_KEY);
             if (saved) {
                 const settings = JSON.parse(saved);
-                if (typeof settings.soundEnabled === 'boolean') {
-                    state.soundEnabled = settings.soundEnabled;
-                }
-                if (typeof settings.countdownEnabled === 'boolean') {
-                    state.countdownEnabled = settings.countdownEnabled;
+                // Custom patterns come first so a saved custom exercise type can be restored
+                if (Array.isArray(settings.customPatterns)) {
+                    state.customPatterns = settings.customPatterns
+                        .map(sanitizeCustomPattern)
+                        .filter(pattern => pattern !== null);
                 }
-                if (settings.exerciseType && exerciseTypes[settings.exerciseType]) {
-                    state.exerciseType = settings.exerciseType;
+                if (Array.isArray(settings.programs)) {
+                    state.programs = settings.programs
+                        .map(sanitizeProgram)
+                        .filter(program => program !== null);
                 }
-                if (typeof settings.phaseTime === 'number') {
-                    state.phaseTime = settings.phaseTime;
+                if (Array.isArray(settings.reminders)) {
+                    state.reminders = settings.reminders
+                        .map(sanitizeReminder)
+                        .filter(reminder => reminder !== null);
                 }
-                if (typeof settings.exhaleDuration === 'number') {
-                    state.exhaleDuration = settings.exhaleDuration;
+                const migrated = migrateSettings(settings);
+                applySettings(migrated);
+                // Store the upgraded format straight away
+                if (migrated !== settings) {
+                    saveSettings();
                 }
             }
         } catch (e) {
@@ -131,12 +707,289 @@ document.addEventListener('DOMContentLoaded', () => {
     // Load settings on startup
     loadSettings();
 
-    function getCurrentPhases() {
-        const exercise = exerciseTypes[state.exerciseType];
-        if (state.exerciseType === 'longExhale') {
-            return exercise.getPhases(state.phaseTime, state.exhaleDuration);
+    // Locale: the saved choice, or the first of the browser's languages that has a catalog
+    const manifestLink = document.querySelector('link[rel="manifest"]');
+
+    function resolveLocale() {
+        if (i18n.catalogs[state.language]) {
+            return state.language;
+        }
+        const languages = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+        return i18n.detectLocale(languages);
+    }
+
+    // Static text in index.html is marked with data-i18n (text) and data-i18n-label (aria-label)
+    function applyLocale() {
+        locale = resolveLocale();
+        t = i18n.createTranslator(locale);
+        document.documentElement.lang = locale;
+        document.title = t('app.title');
+        if (manifestLink) {
+            manifestLink.setAttribute('href', i18n.catalogs[locale].manifest);
+        }
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.setAttribute('aria-label', t(element.dataset.i18nLabel));
+        });
+    }
+
+    applyLocale();
+
+    // Deep links: settings in the query string or hash override the stored ones for this visit
+    const launchParamNames = ['exercise', 'phases', 'phase', 'exhale', 'minutes', 'rounds', 'sound', 'countdown', 'autostart'];
+
+    function parseBooleanParam(value) {
+        if (value === null) {
+            return null;
+        }
+        if (['1', 'true', 'on', 'yes'].includes(value.toLowerCase())) {
+            return true;
+        }
+        if (['0', 'false', 'off', 'no'].includes(value.toLowerCase())) {
+            return false;
+        }
+        return null;
+    }
+
+    function parseNumberParam(value) {
+        if (value === null || value.trim() === '') {
+            return null;
+        }
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    function readLaunchParams() {
+        const params = new URLSearchParams(window.location.search);
+        const hashParams = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+        hashParams.forEach((value, key) => {
+            if (!params.has(key)) {
+                params.set(key, value);
+            }
+        });
+        return params;
+    }
+
+    // Applies launch parameters, clamping values to each exercise's allowed range, and reports what to start
+    function applyLaunchParams(params) {
+        const launch = { autostart: false, minutes: 0, rounds: 0 };
+        const stored = getSettingsSnapshot();
+        const exerciseType = params.get('exercise');
+        if (exerciseType && getExercise(exerciseType)) {
+            selectExercise(exerciseType);
+        }
+
+        const exercise = getExercise(state.exerciseType);
+        const phases = params.get('phases');
+        const phaseDurations = phases && exerciseTypes[state.exerciseType]
+            ? clampPhaseDurations(state.exerciseType, phases.split('-').map(parseNumberParam))
+            : null;
+        if (phaseDurations) {
+            state.phaseDurations = phaseDurations;
+        }
+        // Links from before per-phase durations carry a single pace
+        const range = getPaceRange(state.exerciseType);
+        const pace = parseNumberParam(params.get(state.exerciseType === 'longExhale' ? 'exhale' : 'phase'));
+        if (range && pace !== null && !phaseDurations) {
+            state.phaseDurations = withPace(state.exerciseType, state.phaseDurations, clampToRange(pace, range));
+        }
+
+        const rounds = parseNumberParam(params.get('rounds'));
+        const minutes = parseNumberParam(params.get('minutes'));
+        if (rounds !== null && state.exerciseType === 'fourSevenEight') {
+            launch.rounds = clampToRange(Math.round(rounds), sessionLimitRange);
+            state.timeLimit = launch.rounds.toString();
+        } else if (minutes !== null && exercise) {
+            launch.minutes = clampToRange(Math.round(minutes), sessionLimitRange);
+            state.timeLimit = state.exerciseType === 'fourSevenEight' ? '' : launch.minutes.toString();
+        }
+
+        const sound = parseBooleanParam(params.get('sound'));
+        if (sound !== null) {
+            state.soundEnabled = sound;
+        }
+        const countdown = parseBooleanParam(params.get('countdown'));
+        if (countdown !== null) {
+            state.countdownEnabled = countdown;
+        }
+        launch.autostart = parseBooleanParam(params.get('autostart')) === true;
+        recordLaunchOverrides(stored, getSettingsSnapshot());
+        return launch;
+    }
+
+    // Removes the launch parameters so a reload doesn't reapply them or start again
+    function clearLaunchParams() {
+        if (!window.history || typeof window.history.replaceState !== 'function') {
+            return;
         }
-        return exercise.getPhases(state.phaseTime);
+        const url = new URL(window.location.href);
+        launchParamNames.forEach(name => url.searchParams.delete(name));
+        const hashParams = new URLSearchParams(url.hash.replace(/^#/, ''));
+        if (launchParamNames.some(name => hashParams.has(name))) {
+            url.hash = '';
+        }
+        window.history.replaceState(null, '', url.toString());
+    }
+
+    function buildShareUrl() {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        const params = new URLSearchParams();
+        params.set('exercise', state.exerciseType);
+        if (exerciseTypes[state.exerciseType]) {
+            params.set('phases', state.phaseDurations.join('-'));
+        }
+        const limit = Number.parseInt(state.timeLimit, 10);
+        if (limit > 0) {
+            params.set(state.exerciseType === 'fourSevenEight' ? 'rounds' : 'minutes', limit);
+        }
+        params.set('sound', state.soundEnabled ? '1' : '0');
+        params.set('countdown', state.countdownEnabled ? '1' : '0');
+        url.search = params.toString();
+        return url.toString();
+    }
+
+    const launchParams = readLaunchParams();
+    const hasLaunchParams = launchParamNames.some(name => launchParams.has(name));
+    const pendingLaunch = hasLaunchParams ? applyLaunchParams(launchParams) : null;
+    if (hasLaunchParams) {
+        clearLaunchParams();
+    }
+
+    // Session history is kept in IndexedDB so it can grow without touching the settings entry
+    const HISTORY_DB_NAME = 'breathingExercisesHistory';
+    const HISTORY_DB_VERSION = 1;
+    const HISTORY_STORE = 'sessions';
+    let historyDbPromise = null;
+
+    function openHistoryDb() {
+        if (historyDbPromise) {
+            return historyDbPromise;
+        }
+        historyDbPromise = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+            const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                    const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('startedAt', 'startedAt');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        historyDbPromise.catch(() => {
+            historyDbPromise = null;
+        });
+        return historyDbPromise;
+    }
+
+    function runHistoryTransaction(mode, operation) {
+        return openHistoryDb().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(HISTORY_STORE, mode);
+            const request = operation(transaction.objectStore(HISTORY_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+
+    function addSessionRecord(record) {
+        return runHistoryTransaction('readwrite', store => store.add(record));
+    }
+
+    function getSessionRecords() {
+        return runHistoryTransaction('readonly', store => store.getAll());
+    }
+
+    function addSessionRecords(records) {
+        return runHistoryTransaction('readwrite', store => {
+            let request = null;
+            records.forEach(record => {
+                request = store.add(record);
+            });
+            return request || store.count();
+        });
+    }
+
+    // Validates an imported session, keeping the fields recordSession() writes
+    function sanitizeSessionRecord(raw) {
+        if (!raw || typeof raw.exerciseType !== 'string' || !raw.exerciseType
+            || !Number.isFinite(raw.startedAt) || !Number.isFinite(raw.durationSeconds) || raw.durationSeconds < 1) {
+            return null;
+        }
+        const count = value => (Number.isInteger(value) && value >= 0 ? value : 0);
+        const duration = value => (Number.isFinite(value) && value > 0 ? value : null);
+        const durationSeconds = Math.round(raw.durationSeconds);
+        const program = raw.program && typeof raw.program.id === 'string' && typeof raw.program.name === 'string'
+            ? {
+                id: raw.program.id,
+                name: raw.program.name,
+                stages: Array.isArray(raw.program.stages)
+                    ? raw.program.stages
+                        .filter(stage => stage && typeof stage.exerciseType === 'string')
+                        .map(stage => ({
+                            exerciseType: stage.exerciseType,
+                            exerciseName: typeof stage.exerciseName === 'string' ? stage.exerciseName : stage.exerciseType,
+                            durationSeconds: count(stage.durationSeconds),
+                            rounds: count(stage.rounds)
+                        }))
+                    : []
+            }
+            : null;
+        const ramp = raw.ramp && [raw.ramp.start, raw.ramp.target, raw.ramp.minutes].every(Number.isFinite)
+            ? { start: raw.ramp.start, target: raw.ramp.target, minutes: raw.ramp.minutes }
+            : null;
+        const heartRateResult = raw.heartRate && Array.isArray(raw.heartRate.rrIntervals)
+            ? {
+                rrIntervals: raw.heartRate.rrIntervals.filter(rr => Number.isFinite(rr) && rr > 0),
+                beats: count(raw.heartRate.beats),
+                ...Object.fromEntries(hrvMetricKeys.map(key => [key, Number.isFinite(raw.heartRate[key]) ? raw.heartRate[key] : null]))
+            }
+            : null;
+        return {
+            exerciseType: raw.exerciseType,
+            exerciseName: typeof raw.exerciseName === 'string' && raw.exerciseName ? raw.exerciseName : raw.exerciseType,
+            program,
+            phases: Array.isArray(raw.phases)
+                ? raw.phases
+                    .filter(phase => phase && typeof phase.name === 'string' && duration(phase.duration) !== null)
+                    .map(({ kind, name, duration: phaseDuration }) => ({
+                        kind: phaseKinds.includes(kind) ? kind : inferPhaseKind(name),
+                        name,
+                        duration: phaseDuration
+                    }))
+                : [],
+            durationSeconds,
+            roundsCompleted: count(raw.roundsCompleted),
+            targetRounds: count(raw.targetRounds),
+            timeLimitMinutes: count(raw.timeLimitMinutes),
+            ramp,
+            adherence: Number.isFinite(raw.adherence) && raw.adherence >= 0 && raw.adherence <= 100 ? Math.round(raw.adherence) : null,
+            heartRate: heartRateResult,
+            completed: raw.completed === true,
+            startedAt: raw.startedAt,
+            endedAt: Number.isFinite(raw.endedAt) && raw.endedAt >= raw.startedAt ? raw.endedAt : raw.startedAt + durationSeconds * 1000
+        };
+    }
+
+    function getPhasesFor(type, phaseDurations) {
+        const exercise = getExercise(type);
+        if (exercise.isCustom) {
+            return exercise.getPhases();
+        }
+        return exercise.phaseRanges.map((range, index) => createPhase(range.kind, phaseDurations[index]));
+    }
+
+    function getCurrentPhases() {
+        return getPhasesFor(state.exerciseType, state.phaseDurations);
     }
 
     function getTotalCycleTime() {
@@ -174,42 +1027,211 @@ document.addEventListener('DOMContentLoaded', () => {
     window.addEventListener('offline', updateOnlineStatus);
     updateOnlineStatus();
 
-    const icons = {
-        play: `<svg class="icon" viewBox="0 0 24 24"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>`,
-        pause: `<svg class="icon" viewBox="0 0 24 24"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>`,
-        volume2: `<svg class="icon" viewBox="0 0 24 24"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon><path d="M19.07 4.93a10 10 0 0 1 0 14.14M15.54 8.46a5 5 0 0 1 0 7.07"></path></svg>`,
-        volumeX: `<svg class="icon" viewBox="0 0 24 24"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon><line x1="23" y1="9" x2="17" y2="15"></line><line x1="17" y1="9" x2="23" y2="15"></line></svg>`,
-        rotateCcw: `<svg class="icon" viewBox="0 0 24 24"><polyline points="1 4 1 10 7 10"></polyline><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path></svg>`,
-        clock: `<svg class="icon" viewBox="0 0 24 24"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg>`,
-        hash: `<svg class="icon" viewBox="0 0 24 24"><line x1="4" y1="9" x2="20" y2="9"></line><line x1="4" y1="15" x2="20" y2="15"></line><line x1="10" y1="3" x2="8" y2="21"></line><line x1="16" y1="3" x2="14" y2="21"></line></svg>`
-    };
+    // Service worker updates: a new version waits until the user accepts it and no session is running
+    const updateBanner = document.getElementById('update-banner');
+    const updateMessage = document.getElementById('update-message');
+    let waitingWorker = null;
+    let updateRequested = false;
+    let reloadOnControllerChange = false;
 
-    function toggleCountdown() {
-        state.countdownEnabled = !state.countdownEnabled;
-        saveSettings();
-        render();
+    function showUpdateBanner(worker) {
+        waitingWorker = worker;
+        if (updateBanner) {
+            updateBanner.hidden = false;
+        }
     }
 
-    function getInstruction(count) {
-        const phases = getCurrentPhases();
-        if (count >= 0 && count < phases.length) {
-            return phases[count].name;
+    function hideUpdateBanner() {
+        if (updateBanner) {
+            updateBanner.hidden = true;
         }
-        return '';
     }
 
-    function getPhaseColor(count) {
-        const phases = getCurrentPhases();
-        if (count >= 0 && count < phases.length) {
-            return phases[count].color;
+    function applyUpdate() {
+        if (!waitingWorker) {
+            return;
+        }
+        if (state.isPlaying || state.isPaused || state.assessment) {
+            updateRequested = true;
+            if (updateMessage) {
+                updateMessage.textContent = t('update.afterSession');
+            }
+            return;
         }
-        return '#f97316';
+        reloadOnControllerChange = true;
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
     }
 
-    const phaseColors = ['#f97316', '#fbbf24', '#38bdf8', '#22c55e'];
+    // Called whenever a session ends so an accepted update can install
+    function applyPendingUpdate() {
+        if (updateRequested && !state.isPlaying && !state.isPaused && !state.assessment) {
+            updateRequested = false;
+            applyUpdate();
+        }
+    }
 
-    function hexToRgba(hex, alpha) {
-        const normalized = hex.replace('#', '');
+    function watchForUpdates(registration) {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateBanner(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const installing = registration.installing;
+            if (!installing) {
+                return;
+            }
+            installing.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateBanner(installing);
+                }
+            });
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                registration.update().catch(() => {});
+            }
+        });
+    }
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloadOnControllerChange) {
+                reloadOnControllerChange = false;
+                window.location.reload();
+            }
+        });
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.type === 'OPEN_REMINDER') {
+                openReminderLink(event.data.url);
+            }
+        });
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register('service-worker.js')
+                .then(registration => {
+                    console.log('ServiceWorker registration successful with scope: ', registration.scope);
+                    watchForUpdates(registration);
+                    scheduleReminders();
+                })
+                .catch(error => {
+                    console.log('ServiceWorker registration failed: ', error);
+                    scheduleReminders();
+                });
+        });
+    }
+
+    const updateApplyButton = document.getElementById('update-apply');
+    if (updateApplyButton) {
+        updateApplyButton.addEventListener('click', applyUpdate);
+    }
+    const updateDismissButton = document.getElementById('update-dismiss');
+    if (updateDismissButton) {
+        updateDismissButton.addEventListener('click', () => {
+            updateRequested = false;
+            hideUpdateBanner();
+        });
+    }
+
+    const icons = {
+        play: `<svg class="icon" viewBox="0 0 24 24"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>`,
+        pause: `<svg class="icon" viewBox="0 0 24 24"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>`,
+        volume2: `<svg class="icon" viewBox="0 0 24 24"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon><path d="M19.07 4.93a10 10 0 0 1 0 14.14M15.54 8.46a5 5 0 0 1 0 7.07"></path></svg>`,
+        volumeX: `<svg class="icon" viewBox="0 0 24 24"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon><line x1="23" y1="9" x2="17" y2="15"></line><line x1="17" y1="9" x2="23" y2="15"></line></svg>`,
+        rotateCcw: `<svg class="icon" viewBox="0 0 24 24"><polyline points="1 4 1 10 7 10"></polyline><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path></svg>`,
+        clock: `<svg class="icon" viewBox="0 0 24 24"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg>`,
+        hash: `<svg class="icon" viewBox="0 0 24 24"><line x1="4" y1="9" x2="20" y2="9"></line><line x1="4" y1="15" x2="20" y2="15"></line><line x1="10" y1="3" x2="8" y2="21"></line><line x1="16" y1="3" x2="14" y2="21"></line></svg>`,
+        plus: `<svg class="icon" viewBox="0 0 24 24"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>`,
+        edit: `<svg class="icon" viewBox="0 0 24 24"><path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path></svg>`,
+        square: `<svg class="icon" viewBox="0 0 24 24"><rect x="5" y="5" width="14" height="14" rx="2" ry="2"></rect></svg>`,
+        layers: `<svg class="icon" viewBox="0 0 24 24"><polygon points="12 2 2 7 12 12 22 7 12 2"></polygon><polyline points="2 17 12 22 22 17"></polyline><polyline points="2 12 12 17 22 12"></polyline></svg>`,
+        trendingUp: `<svg class="icon" viewBox="0 0 24 24"><polyline points="23 6 13.5 15.5 8.5 10.5 1 18"></polyline><polyline points="17 6 23 6 23 12"></polyline></svg>`,
+        smartphone: `<svg class="icon" viewBox="0 0 24 24"><rect x="5" y="2" width="14" height="20" rx="2" ry="2"></rect><line x1="12" y1="18" x2="12.01" y2="18"></line></svg>`,
+        link: `<svg class="icon" viewBox="0 0 24 24"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path></svg>`,
+        barChart: `<svg class="icon" viewBox="0 0 24 24"><line x1="12" y1="20" x2="12" y2="10"></line><line x1="18" y1="20" x2="18" y2="4"></line><line x1="6" y1="20" x2="6" y2="16"></line></svg>`,
+        trash: `<svg class="icon" viewBox="0 0 24 24"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg>`,
+        download: `<svg class="icon" viewBox="0 0 24 24"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg>`,
+        upload: `<svg class="icon" viewBox="0 0 24 24"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="17 8 12 3 7 8"></polyline><line x1="12" y1="3" x2="12" y2="15"></line></svg>`,
+        bell: `<svg class="icon" viewBox="0 0 24 24"><path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path><path d="M13.73 21a2 2 0 0 1-3.46 0"></path></svg>`,
+        mic: `<svg class="icon" viewBox="0 0 24 24"><path d="M12 1a3 3 0 0 0-3 3v8a3 3 0 0 0 6 0V4a3 3 0 0 0-3-3z"></path><path d="M19 10v2a7 7 0 0 1-14 0v-2"></path><line x1="12" y1="19" x2="12" y2="23"></line><line x1="8" y1="23" x2="16" y2="23"></line></svg>`,
+        heart: `<svg class="icon" viewBox="0 0 24 24"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path></svg>`
+    };
+
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function toggleCountdown() {
+        state.countdownEnabled = !state.countdownEnabled;
+        saveSettings();
+        render();
+    }
+
+    // Elapsed session time excluding any time spent paused
+    function getSessionElapsedSeconds(now = performance.now()) {
+        return sessionEngine ? sessionEngine.getElapsedSeconds(now) : 0;
+    }
+
+    function recordSession({ completed }) {
+        if (state.sessionStartedAt === null) {
+            return;
+        }
+        const durationSeconds = Math.round(getSessionElapsedSeconds());
+        const startedAt = state.sessionStartedAt;
+        state.sessionStartedAt = null;
+        if (durationSeconds < 1) {
+            return;
+        }
+        const exercise = getExercise(state.exerciseType);
+        let program = null;
+        if (state.program) {
+            logProgramStage(getSessionElapsedSeconds());
+            program = { id: state.program.id, name: state.program.name, stages: state.program.stageLog };
+        }
+        const record = {
+            exerciseType: state.exerciseType,
+            exerciseName: program ? program.name : (exercise ? exercise.name : state.exerciseType),
+            program,
+            phases: getCurrentPhases().map(({ kind, name, duration }) => ({ kind, name, duration })),
+            durationSeconds,
+            roundsCompleted: state.completedRounds,
+            targetRounds: state.targetRounds,
+            timeLimitMinutes: Number.parseInt(state.timeLimit, 10) || 0,
+            ramp: state.activeRamp
+                ? { start: state.activeRamp.start, target: state.activeRamp.target, minutes: state.activeRamp.seconds / 60 }
+                : null,
+            adherence: state.adherence,
+            heartRate: state.hrvResult,
+            completed,
+            startedAt,
+            endedAt: Date.now()
+        };
+        addSessionRecord(record).catch(err => {
+            console.error('Failed to record session:', err);
+        });
+    }
+
+    function getInstruction(count) {
+        const phases = getCurrentPhases();
+        if (count >= 0 && count < phases.length) {
+            return phases[count].name;
+        }
+        return '';
+    }
+
+    function getPhaseColor(count) {
+        const phases = getCurrentPhases();
+        if (count >= 0 && count < phases.length) {
+            return phases[count].color;
+        }
+        return getPaletteColor('inhale');
+    }
+
+    function hexToRgba(hex, alpha) {
+        const normalized = hex.replace('#', '');
         const bigint = parseInt(normalized, 16);
         const r = (bigint >> 16) & 255;
         const g = (bigint >> 8) & 255;
@@ -252,19 +1274,79 @@ document.addEventListener('DOMContentLoaded', () => {
         invalidateGradient();
 
         if (!state.isPlaying) {
-            drawScene({ progress: state.sessionComplete ? 1 : 0, showTrail: false, phase: state.count });
+            drawScene({ progress: getIdleProgress(), showTrail: state.isPaused, phase: state.count });
         }
     }
 
     window.addEventListener('resize', resizeCanvas, { passive: true });
 
+    // Progress to draw while the animation loop is not running
+    function getIdleProgress() {
+        if (state.isPaused) {
+            return state.phaseProgress;
+        }
+        return state.sessionComplete ? 1 : 0;
+    }
+
     function updateMotionPreference(event) {
         state.prefersReducedMotion = event.matches;
         if (!state.isPlaying) {
-            drawScene({ progress: state.sessionComplete ? 1 : 0, showTrail: false, phase: state.count });
+            drawScene({ progress: getIdleProgress(), showTrail: state.isPaused, phase: state.count });
+        }
+    }
+
+    const themeMeta = document.querySelector('meta[name="theme-color"]');
+
+    function getSystemQuery(query) {
+        return typeof window.matchMedia === 'function' ? window.matchMedia(query) : null;
+    }
+
+    const contrastQuery = getSystemQuery('(prefers-contrast: more)');
+    const lightSchemeQuery = getSystemQuery('(prefers-color-scheme: light)');
+
+    function resolveTheme() {
+        if (themes[state.theme]) {
+            return state.theme;
+        }
+        if (contrastQuery && contrastQuery.matches) {
+            return 'high-contrast';
+        }
+        return lightSchemeQuery && lightSchemeQuery.matches ? 'light' : 'dark';
+    }
+
+    function getThemeColors() {
+        return themes[resolveTheme()];
+    }
+
+    function applyTheme() {
+        const theme = resolveTheme();
+        document.documentElement.dataset.theme = theme;
+        if (themeMeta) {
+            themeMeta.setAttribute('content', themes[theme].background);
+        }
+        invalidateGradient();
+        if (!state.isPlaying) {
+            drawScene({ progress: getIdleProgress(), showTrail: state.isPaused, phase: state.count });
         }
     }
 
+    [contrastQuery, lightSchemeQuery].forEach(query => {
+        if (!query) {
+            return;
+        }
+        const onChange = () => {
+            if (state.theme === 'system') {
+                applyTheme();
+            }
+        };
+        if (typeof query.addEventListener === 'function') {
+            query.addEventListener('change', onChange);
+        } else if (typeof query.addListener === 'function') {
+            query.addListener(onChange);
+        }
+    });
+    applyTheme();
+
     const motionQuery = typeof window.matchMedia === 'function'
         ? window.matchMedia('(prefers-reduced-motion: reduce)')
         : null;
@@ -284,14 +1366,64 @@ document.addEventListener('DOMContentLoaded', () => {
         return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
     }
 
-    function playTone({ isCompletionBell = false } = {}) {
-        if (!state.soundEnabled || !audioContext) return;
+    // Audio engine: phase cues, the continuous swell, spoken cues and ambient noise
+    const audioNodes = {
+        swellOscillator: null,
+        swellGain: null,
+        swellLevel: 0,
+        ambientSource: null,
+        ambientGain: null
+    };
+    const noiseBuffers = {};
+    const speechSupported = 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+
+    function playChime(gainNode, now) {
+        const oscillator = audioContext.createOscillator();
+        oscillator.type = 'triangle';
+        oscillator.frequency.setValueAtTime(528, now);
+        gainNode.gain.setValueAtTime(0, now);
+        gainNode.gain.linearRampToValueAtTime(0.5, now + 0.01);
+        gainNode.gain.linearRampToValueAtTime(0, now + 0.3);
+        oscillator.connect(gainNode);
+        oscillator.start(now);
+        oscillator.stop(now + 0.3);
+    }
+
+    // Rising pitch for inhales, falling for exhales and a steady note for holds
+    function playPhaseTone(gainNode, now, kind) {
+        const oscillator = audioContext.createOscillator();
+        const duration = 0.7;
+        let startFrequency = 440;
+        let endFrequency = 440;
+        if (kind === 'inhale') {
+            startFrequency = 396;
+            endFrequency = 594;
+        } else if (kind === 'exhale') {
+            startFrequency = 594;
+            endFrequency = 396;
+        }
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(startFrequency, now);
+        oscillator.frequency.exponentialRampToValueAtTime(endFrequency, now + duration);
+        gainNode.gain.setValueAtTime(0.0001, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.35, now + 0.05);
+        gainNode.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+        oscillator.connect(gainNode);
+        oscillator.start(now);
+        oscillator.stop(now + duration);
+    }
+
+    // Plays now, or at a later audioContext time; returns the gain node so a scheduled tone can be cancelled
+    function playTone({ isCompletionBell = false, phase = null, at = null } = {}) {
+        if (!state.soundEnabled || !audioContext) return null;
+        // The swell already marks each phase, so only the completion bell plays on top of it
+        if (!isCompletionBell && state.toneStyle === 'swell') return null;
         try {
             const gainNode = audioContext.createGain();
             gainNode.connect(audioContext.destination);
+            const now = Math.max(at === null ? 0 : at, audioContext.currentTime);
 
             if (isCompletionBell) {
-                const now = audioContext.currentTime;
                 const bellNotes = [880, 1174.66];
 
                 gainNode.gain.setValueAtTime(0.0001, now);
@@ -306,28 +1438,416 @@ document.addEventListener('DOMContentLoaded', () => {
                     oscillator.start(now);
                     oscillator.stop(now + 1.2);
                 });
+            } else if (state.toneStyle === 'phase' && phase) {
+                playPhaseTone(gainNode, now, phase.kind);
             } else {
-                const oscillator = audioContext.createOscillator();
-                oscillator.type = 'triangle';
-                oscillator.frequency.setValueAtTime(528, audioContext.currentTime);
-                gainNode.gain.setValueAtTime(0, audioContext.currentTime);
-                gainNode.gain.linearRampToValueAtTime(0.5, audioContext.currentTime + 0.01);
-                gainNode.gain.linearRampToValueAtTime(0, audioContext.currentTime + 0.3);
-                oscillator.connect(gainNode);
-                oscillator.start(audioContext.currentTime);
-                oscillator.stop(audioContext.currentTime + 0.3);
+                playChime(gainNode, now);
             }
+            return gainNode;
         } catch (e) {
             console.error('Error playing tone:', e);
+            return null;
+        }
+    }
+
+    // Phase tones are put on the audio clock a few seconds ahead so they stay on time when a
+    // hidden tab throttles timers and stops animation frames
+    const CUE_LOOKAHEAD_SECONDS = 3;
+    let scheduledCues = [];
+
+    function getCueKey(boundaryElapsed) {
+        return Math.round(boundaryElapsed * 1000);
+    }
+
+    function scheduleUpcomingCues(now) {
+        if (!state.soundEnabled || !audioContext || !sessionEngine) return;
+        const elapsed = sessionEngine.getElapsedSeconds(now);
+        const audioNow = audioContext.currentTime;
+        scheduledCues = scheduledCues.filter(cue => cue.at > audioNow - 1);
+        sessionEngine.getUpcomingBoundaries(elapsed + CUE_LOOKAHEAD_SECONDS).forEach(boundary => {
+            const key = getCueKey(boundary.elapsed);
+            if (scheduledCues.some(cue => cue.key === key)) return;
+            const at = audioNow + boundary.elapsed - elapsed;
+            const gainNode = playTone({ isCompletionBell: boundary.isFinal, phase: boundary.phase, at });
+            scheduledCues.push({ key, at, gainNode });
+        });
+    }
+
+    // True when the tone for this boundary is already on the audio clock
+    function takeScheduledCue(boundaryElapsed) {
+        const key = getCueKey(boundaryElapsed);
+        const index = scheduledCues.findIndex(cue => cue.key === key);
+        if (index < 0) return false;
+        scheduledCues.splice(index, 1);
+        return true;
+    }
+
+    // Silences tones that have not started yet; ones already playing are left to finish
+    function cancelScheduledCues() {
+        const audioNow = audioContext ? audioContext.currentTime : 0;
+        scheduledCues.forEach(cue => {
+            if (cue.gainNode && cue.at > audioNow) {
+                cue.gainNode.disconnect();
+            }
+        });
+        scheduledCues = [];
+    }
+
+    function speakCue(text) {
+        if (!state.soundEnabled || !state.voiceEnabled || !speechSupported || !text) return;
+        try {
+            window.speechSynthesis.cancel();
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = locale;
+            utterance.rate = 0.9;
+            window.speechSynthesis.speak(utterance);
+        } catch (e) {
+            console.error('Error speaking cue:', e);
+        }
+    }
+
+    // Vibration patterns in milliseconds, alternating vibrate and pause
+    const hapticsSupported = typeof navigator.vibrate === 'function';
+    const hapticPatterns = {
+        inhale: [150],
+        hold: [40, 80, 40],
+        exhale: [350],
+        rest: [40],
+        completion: [200, 100, 200, 100, 500]
+    };
+
+    function vibrateCue(phase, isCompletion) {
+        if (!state.hapticsEnabled || !hapticsSupported) return;
+        const pattern = isCompletion
+            ? hapticPatterns.completion
+            : (phase && hapticPatterns[phase.kind]) || hapticPatterns.rest;
+        try {
+            navigator.vibrate(pattern);
+        } catch (e) {
+            console.error('Error vibrating:', e);
+        }
+    }
+
+    function cuePhase(phase, { isCompletion = false, toneScheduled = false } = {}) {
+        if (!toneScheduled) {
+            playTone({ isCompletionBell: isCompletion, phase });
+        }
+        speakCue(isCompletion ? t('cue.complete') : phase && phase.name);
+        vibrateCue(phase, isCompletion);
+        announce(isCompletion ? t('announce.sessionComplete') : phase && phase.name);
+    }
+
+    function startSwell() {
+        if (!state.soundEnabled || state.toneStyle !== 'swell' || !audioContext || audioNodes.swellOscillator) return;
+        try {
+            const now = audioContext.currentTime;
+            const gainNode = audioContext.createGain();
+            const oscillator = audioContext.createOscillator();
+            gainNode.gain.setValueAtTime(0, now);
+            gainNode.connect(audioContext.destination);
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(174, now);
+            oscillator.connect(gainNode);
+            oscillator.start(now);
+            audioNodes.swellOscillator = oscillator;
+            audioNodes.swellGain = gainNode;
+        } catch (e) {
+            console.error('Error starting swell:', e);
+        }
+    }
+
+    // Inhales swell up and exhales fade down; holds keep the level they started at
+    function updateSwell(kind, progress) {
+        if (!audioNodes.swellOscillator) return;
+        if (kind === 'inhale') {
+            audioNodes.swellLevel = progress;
+        } else if (kind === 'exhale') {
+            audioNodes.swellLevel = 1 - progress;
+        }
+        const level = audioNodes.swellLevel;
+        const now = audioContext.currentTime;
+        audioNodes.swellGain.gain.setTargetAtTime(0.04 + 0.14 * level, now, 0.08);
+        audioNodes.swellOscillator.frequency.setTargetAtTime(174 + 90 * level, now, 0.08);
+    }
+
+    function stopSwell() {
+        if (!audioNodes.swellOscillator) return;
+        const now = audioContext.currentTime;
+        audioNodes.swellGain.gain.cancelScheduledValues(now);
+        audioNodes.swellGain.gain.setTargetAtTime(0, now, 0.1);
+        audioNodes.swellOscillator.stop(now + 0.5);
+        audioNodes.swellOscillator = null;
+        audioNodes.swellGain = null;
+        audioNodes.swellLevel = 0;
+    }
+
+    function getNoiseBuffer(type) {
+        if (noiseBuffers[type]) {
+            return noiseBuffers[type];
+        }
+        const length = audioContext.sampleRate * 4;
+        const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        if (type === 'brown') {
+            let last = 0;
+            for (let i = 0; i < length; i++) {
+                const white = Math.random() * 2 - 1;
+                last = (last + 0.02 * white) / 1.02;
+                data[i] = last * 3.5;
+            }
+        } else {
+            // Paul Kellet's pink noise filter
+            let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+            for (let i = 0; i < length; i++) {
+                const white = Math.random() * 2 - 1;
+                b0 = 0.99886 * b0 + white * 0.0555179;
+                b1 = 0.99332 * b1 + white * 0.0750759;
+                b2 = 0.96900 * b2 + white * 0.1538520;
+                b3 = 0.86650 * b3 + white * 0.3104856;
+                b4 = 0.55000 * b4 + white * 0.5329522;
+                b5 = -0.7616 * b5 - white * 0.0168980;
+                data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+                b6 = white * 0.115926;
+            }
+        }
+        noiseBuffers[type] = buffer;
+        return buffer;
+    }
+
+    function startAmbient() {
+        if (!state.soundEnabled || state.ambientType === 'off' || !audioContext || audioNodes.ambientSource) return;
+        try {
+            const now = audioContext.currentTime;
+            const source = audioContext.createBufferSource();
+            const gainNode = audioContext.createGain();
+            source.buffer = getNoiseBuffer(state.ambientType);
+            source.loop = true;
+            gainNode.gain.setValueAtTime(0, now);
+            gainNode.gain.linearRampToValueAtTime(state.ambientVolume / 100 * 0.6, now + 1.5);
+            source.connect(gainNode);
+            gainNode.connect(audioContext.destination);
+            source.start(now);
+            audioNodes.ambientSource = source;
+            audioNodes.ambientGain = gainNode;
+        } catch (e) {
+            console.error('Error starting ambient sound:', e);
+        }
+    }
+
+    function stopAmbient() {
+        if (!audioNodes.ambientSource) return;
+        const now = audioContext.currentTime;
+        audioNodes.ambientGain.gain.cancelScheduledValues(now);
+        audioNodes.ambientGain.gain.setTargetAtTime(0, now, 0.15);
+        audioNodes.ambientSource.stop(now + 0.8);
+        audioNodes.ambientSource = null;
+        audioNodes.ambientGain = null;
+    }
+
+    function startContinuousAudio() {
+        startSwell();
+        startAmbient();
+    }
+
+    function stopContinuousAudio() {
+        cancelScheduledCues();
+        stopSwell();
+        stopAmbient();
+        if (speechSupported) {
+            window.speechSynthesis.cancel();
+        }
+    }
+
+    // Breath detection: an opt-in microphone monitor scored against the guided phases. The audio
+    // only goes to an analyser node, so nothing is played back, recorded or sent anywhere
+    const micSupported = Boolean(navigator.mediaDevices && typeof navigator.mediaDevices.getUserMedia === 'function');
+    const micConstraints = {
+        // Echo cancellation keeps the app's own tones out; noise suppression would remove the breath noise
+        audio: { echoCancellation: true, noiseSuppression: false, autoGainControl: false }
+    };
+    const breathMonitor = { stream: null, analyser: null, samples: null, detector: null, scorer: null };
+
+    function stopMicStream(stream) {
+        stream.getTracks().forEach(track => track.stop());
+    }
+
+    function startBreathMonitor() {
+        state.adherence = null;
+        if (!state.biofeedbackEnabled || !micSupported) {
+            state.breathStatus = 'off';
+            return;
+        }
+        state.breathStatus = 'starting';
+        breathMonitor.scorer = breathDetection.createAdherenceScorer();
+        const engine = sessionEngine;
+        navigator.mediaDevices.getUserMedia(micConstraints)
+            .then(stream => {
+                // The session may have ended while the permission prompt was open
+                if (sessionEngine !== engine || state.breathStatus !== 'starting') {
+                    stopMicStream(stream);
+                    return;
+                }
+                const analyser = audioContext.createAnalyser();
+                analyser.fftSize = 2048;
+                audioContext.createMediaStreamSource(stream).connect(analyser);
+                Object.assign(breathMonitor, {
+                    stream,
+                    analyser,
+                    samples: new Float32Array(analyser.fftSize),
+                    detector: breathDetection.createBreathDetector()
+                });
+                state.breathStatus = 'listening';
+            })
+            .catch(err => {
+                console.error('Microphone unavailable:', err);
+                if (sessionEngine === engine) {
+                    state.breathStatus = 'unavailable';
+                    sessionViewStale = true;
+                    render();
+                }
+            });
+    }
+
+    // Called every frame, so the score follows the phase animate() is showing
+    function sampleBreath(now) {
+        if (!breathMonitor.analyser) {
+            return;
+        }
+        breathMonitor.analyser.getFloatTimeDomainData(breathMonitor.samples);
+        const elapsed = sessionEngine.getElapsedSeconds(now);
+        const { state: detected } = breathMonitor.detector.process(breathMonitor.samples, elapsed);
+        const phase = getCurrentPhases()[state.count];
+        breathMonitor.scorer.add(phase.kind, detected, state.phaseProgress * phase.duration, elapsed);
+    }
+
+    // Stops listening and keeps the score, as a whole percentage, for the session record and the view
+    function finishBreathMonitor() {
+        if (breathMonitor.scorer && state.breathStatus === 'listening') {
+            const { adherence } = breathMonitor.scorer.getResult();
+            state.adherence = adherence === null ? null : Math.round(adherence * 100);
+        }
+        if (breathMonitor.stream) {
+            stopMicStream(breathMonitor.stream);
+        }
+        Object.assign(breathMonitor, { stream: null, analyser: null, samples: null, detector: null, scorer: null });
+        if (state.breathStatus === 'starting') {
+            state.breathStatus = 'off';
+        }
+    }
+
+    // Asks for the microphone when the setting is turned on, so the prompt doesn't interrupt a session
+    function toggleBiofeedback() {
+        state.biofeedbackEnabled = !state.biofeedbackEnabled;
+        state.breathStatus = 'off';
+        saveSettings();
+        render();
+        if (!state.biofeedbackEnabled) {
+            return;
+        }
+        navigator.mediaDevices.getUserMedia(micConstraints)
+            .then(stopMicStream)
+            .catch(err => {
+                console.error('Microphone unavailable:', err);
+                state.biofeedbackEnabled = false;
+                state.breathStatus = 'unavailable';
+                saveSettings();
+                render();
+            });
+    }
+
+    // Heart rate: an optional Bluetooth monitor whose RR intervals are kept while a session plays
+    // and turned into HRV metrics at the end. Browsers need a click to pick a device, so the
+    // connection lasts until the page closes rather than being saved with the settings
+    const bluetoothSupported = Boolean(navigator.bluetooth && typeof navigator.bluetooth.requestDevice === 'function');
+    const hrvMetricKeys = ['meanHeartRate', 'rmssd', 'sdnn', 'peakToTrough', 'peakFrequency', 'coherence'];
+    let heartRateConnection = null;
+    let sessionRrIntervals = null;
+
+    function handleHeartRateMeasurement({ heartRate: bpm, contactDetected, rrIntervals }) {
+        state.heartRateBpm = contactDetected === false || bpm === 0 ? null : bpm;
+        if (state.isPlaying && sessionRrIntervals) {
+            sessionRrIntervals.push(...rrIntervals);
+        }
+        const display = app.querySelector('[data-text="heartRate"]');
+        if (display) {
+            display.textContent = getMainViewText().heartRate;
+        }
+    }
+
+    function toggleHeartRateMonitor() {
+        if (heartRateConnection) {
+            heartRateConnection.disconnect();
+            heartRateConnection = null;
+            Object.assign(state, { heartRateStatus: 'disconnected', heartRateDevice: '', heartRateBpm: null });
+            render();
+            return;
+        }
+        state.heartRateStatus = 'connecting';
+        render();
+        heartRate.connectHeartRateMonitor({
+            bluetooth: navigator.bluetooth,
+            onMeasurement: handleHeartRateMeasurement,
+            onDisconnect: () => {
+                heartRateConnection = null;
+                Object.assign(state, { heartRateStatus: 'lost', heartRateBpm: null });
+                sessionViewStale = true;
+                render();
+            }
+        })
+            .then(connection => {
+                heartRateConnection = connection;
+                Object.assign(state, { heartRateStatus: 'connected', heartRateDevice: connection.name });
+                render();
+            })
+            .catch(err => {
+                console.error('Heart rate monitor unavailable:', err);
+                // Closing the device chooser isn't a failure worth reporting
+                state.heartRateStatus = err && err.name === 'NotFoundError' ? 'disconnected' : 'unavailable';
+                render();
+            });
+    }
+
+    function startHeartRateRecording() {
+        state.hrvResult = null;
+        sessionRrIntervals = heartRateConnection ? [] : null;
+    }
+
+    // Keeps the RR intervals and rounded metrics for the session record and the view
+    function finishHeartRateRecording() {
+        if (!sessionRrIntervals) {
+            return;
         }
+        const metrics = heartRate.computeHrvMetrics(sessionRrIntervals, { breathsPerMinute: 60 / getTotalCycleTime() });
+        const round = (value, digits) => (value === null ? null : Number(value.toFixed(digits)));
+        state.hrvResult = {
+            rrIntervals: sessionRrIntervals,
+            beats: metrics.beats,
+            meanHeartRate: round(metrics.meanHeartRate, 1),
+            rmssd: round(metrics.rmssd, 1),
+            sdnn: round(metrics.sdnn, 1),
+            peakToTrough: round(metrics.peakToTrough, 1),
+            peakFrequency: round(metrics.peakFrequency, 4),
+            coherence: round(metrics.coherence, 3)
+        };
+        sessionRrIntervals = null;
     }
 
     let animationFrameId;
+    let sessionTimerId = null;
+    let sessionEngine = null;
+    let sessionViewStale = false;
 
     async function requestWakeLock() {
+        if (wakeLock !== null) {
+            return;
+        }
         if ('wakeLock' in navigator) {
             try {
                 wakeLock = await navigator.wakeLock.request('screen');
+                // The browser drops the lock when the page is hidden
+                wakeLock.addEventListener('release', () => {
+                    wakeLock = null;
+                });
                 console.log('Wake lock is active');
             } catch (err) {
                 console.error('Failed to acquire wake lock:', err);
@@ -350,62 +1870,103 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    function pauseSession() {
+        const now = performance.now();
+        cancelAnimationFrame(animationFrameId);
+        stopSessionTimer();
+        state.isPlaying = false;
+        state.isPaused = true;
+        sessionEngine.pause(now);
+        stopContinuousAudio();
+        releaseWakeLock();
+        announce(t('announce.paused'));
+        render();
+    }
+
+    function resumeSession() {
+        const now = performance.now();
+        if (audioContext && audioContext.state === 'suspended') {
+            audioContext.resume().then(() => {
+                console.log('AudioContext resumed');
+            });
+        }
+        sessionEngine.resume(now);
+        state.isPaused = false;
+        state.isPlaying = true;
+        state.pulseStartTime = now;
+        startContinuousAudio();
+        startSessionTimer();
+        animate();
+        requestWakeLock();
+        announce(t('announce.resumed'));
+        render();
+    }
+
+    // Ends the session early, recording it as abandoned, and returns to the start screen
+    function stopSession() {
+        cancelAnimationFrame(animationFrameId);
+        stopSessionTimer();
+        finishBreathMonitor();
+        finishHeartRateRecording();
+        recordSession({ completed: false });
+        state.adherence = null;
+        state.breathStatus = 'off';
+        state.hrvResult = null;
+        sessionEngine = null;
+        endProgram();
+        endAssessment();
+        endRamp();
+        state.isPlaying = false;
+        state.isPaused = false;
+        state.totalTime = 0;
+        const phases = getCurrentPhases();
+        state.countdown = Math.ceil(phases[0].duration);
+        state.count = 0;
+        state.phaseProgress = 0;
+        state.sessionComplete = false;
+        state.timeLimitReached = false;
+        state.hasStarted = false;
+        state.targetRounds = 0;
+        state.completedRounds = 0;
+        invalidateGradient();
+        drawScene({ progress: 0, showTrail: false, phase: state.count });
+        state.pulseStartTime = null;
+        stopContinuousAudio();
+        releaseWakeLock();
+        announce(t('announce.stopped'));
+        render();
+        applyPendingUpdate();
+    }
+
     function togglePlay() {
+        if (state.isPlaying) {
+            pauseSession();
+            return;
+        }
+        if (state.isPaused) {
+            resumeSession();
+            return;
+        }
         // Read time limit directly from input before DOM is rebuilt
         const timeLimitInput = document.getElementById('time-limit');
         if (timeLimitInput) {
             state.timeLimit = timeLimitInput.value.replace(/[^0-9]/g, '');
         }
-        state.isPlaying = !state.isPlaying;
-        if (state.isPlaying) {
-            if (audioContext && audioContext.state === 'suspended') {
-                audioContext.resume().then(() => {
-                    console.log('AudioContext resumed');
-                });
-            }
-            state.hasStarted = true;
-            state.totalTime = 0;
-            const phases = getCurrentPhases();
-            state.countdown = Math.ceil(phases[0].duration);
-            state.count = 0;
-            state.sessionComplete = false;
-            state.timeLimitReached = false;
-            state.readyToEndAfterExhale = false;
-            state.completedRounds = 0;
-            // For 4-7-8, treat timeLimit as rounds instead of minutes
-            if (state.exerciseType === 'fourSevenEight' && state.timeLimit) {
-                state.targetRounds = parseInt(state.timeLimit) || 0;
-            } else {
-                state.targetRounds = 0;
-            }
-            state.pulseStartTime = performance.now();
-            state.startTime = performance.now();
-            playTone();
-            animate();
-            requestWakeLock();
+        // For 4-7-8, treat timeLimit as rounds instead of minutes
+        if (state.exerciseType === 'fourSevenEight' && state.timeLimit) {
+            state.targetRounds = parseInt(state.timeLimit) || 0;
         } else {
-            cancelAnimationFrame(animationFrameId);
-            state.totalTime = 0;
-            const phases = getCurrentPhases();
-            state.countdown = Math.ceil(phases[0].duration);
-            state.count = 0;
-            state.sessionComplete = false;
-            state.timeLimitReached = false;
-            state.readyToEndAfterExhale = false;
-            state.hasStarted = false;
             state.targetRounds = 0;
-            state.completedRounds = 0;
-            invalidateGradient();
-            drawScene({ progress: 0, showTrail: false, phase: state.count });
-            state.pulseStartTime = null;
-            state.startTime = null;
-            releaseWakeLock();
         }
-        render();
+        beginSession();
     }
 
     function resetToStart() {
+        sessionEngine = null;
+        endProgram();
+        endRamp();
         state.isPlaying = false;
+        state.isPaused = false;
         state.totalTime = 0;
         const phases = getCurrentPhases();
         state.countdown = Math.ceil(phases[0].duration);
@@ -413,94 +1974,435 @@ document.addEventListener('DOMContentLoaded', () => {
         state.sessionComplete = false;
         state.timeLimit = '';
         state.timeLimitReached = false;
-        state.readyToEndAfterExhale = false;
+        state.adherence = null;
+        state.breathStatus = 'off';
+        state.hrvResult = null;
         state.pulseStartTime = null;
         state.hasStarted = false;
-        state.startTime = null;
         state.targetRounds = 0;
         state.completedRounds = 0;
         cancelAnimationFrame(animationFrameId);
+        stopSessionTimer();
         invalidateGradient();
         drawScene({ progress: 0, showTrail: false, phase: state.count });
         releaseWakeLock();
         render();
+        applyPendingUpdate();
     }
 
-    function toggleSound() {
-        state.soundEnabled = !state.soundEnabled;
-        saveSettings();
-        render();
+    function copyShareLink(button) {
+        // Pick up a time limit that was typed but not yet used to start a session
+        const timeLimitInput = document.getElementById('time-limit');
+        if (timeLimitInput) {
+            state.timeLimit = timeLimitInput.value.replace(/[^0-9]/g, '');
+        }
+        const url = buildShareUrl();
+        const showCopied = () => {
+            button.lastChild.textContent = ` ${t('share.copied')}`;
+            announce(t('share.copied'));
+            setTimeout(() => {
+                if (button.isConnected) {
+                    button.lastChild.textContent = ` ${t('share.copy')}`;
+                }
+            }, 2000);
+        };
+        if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+            navigator.clipboard.writeText(url).then(showCopied).catch(() => {
+                window.prompt(t('share.prompt'), url);
+            });
+        } else {
+            window.prompt(t('share.prompt'), url);
+        }
     }
 
-    function handleTimeLimitChange(e) {
-        state.timeLimit = e.target.value.replace(/[^0-9]/g, '');
+    function toggleHaptics() {
+        state.hapticsEnabled = !state.hapticsEnabled;
+        saveSettings();
+        if (state.hapticsEnabled) {
+            vibrateCue(null, false);
+        }
+        render();
     }
 
-    function setExerciseType(type) {
-        state.exerciseType = type;
-        const exercise = exerciseTypes[type];
-        if (exercise.hasPhaseTimeSlider) {
-            state.phaseTime = exercise.phaseTimeRange.default;
+    function toggleSound() {
+        state.soundEnabled = !state.soundEnabled;
+        saveSettings();
+        if (state.isPlaying) {
+            if (state.soundEnabled) {
+                startContinuousAudio();
+            } else {
+                stopContinuousAudio();
+            }
         }
-        if (type === 'longExhale') {
-            state.exhaleDuration = exercise.phaseTimeRange.default;
+        render();
+    }
+
+    function handleTimeLimitChange(input) {
+        state.timeLimit = input.value.replace(/[^0-9]/g, '');
+    }
+
+    function setExerciseType(type) {
+        if (!getExercise(type)) {
+            return;
         }
+        selectExercise(type);
         saveSettings();
         render();
     }
 
-    function startWithPreset(minutes) {
-        state.timeLimit = minutes.toString();
-        state.targetRounds = 0;
-        state.completedRounds = 0;
+    // Shared setup for every way of starting a session; callers set the limits first
+    function beginSession() {
         state.isPlaying = true;
+        state.isPaused = false;
+        state.hasStarted = true;
         state.totalTime = 0;
         const phases = getCurrentPhases();
         state.countdown = Math.ceil(phases[0].duration);
         state.count = 0;
+        state.phaseProgress = 0;
+        state.completedRounds = 0;
         state.sessionComplete = false;
         state.timeLimitReached = false;
-        state.readyToEndAfterExhale = false;
+        const exercise = getExercise(state.exerciseType);
+        if (state.rampEnabled && exercise.supportsRamp && !state.program && !state.assessment) {
+            state.activeRamp = {
+                start: state.rampStart,
+                target: state.rampTarget,
+                seconds: state.rampMinutes * 60,
+                savedDurations: [...state.phaseDurations]
+            };
+            applyRampPace(0);
+            state.countdown = Math.ceil(getCurrentPhases()[0].duration);
+        }
+        sessionEngine = createSessionEngine({
+            getPhases: getCurrentPhases,
+            targetRounds: state.exerciseType === 'fourSevenEight' ? state.targetRounds : 0,
+            timeLimitSeconds: getTimeLimitSeconds(),
+            stages: state.program ? state.program.stages : null,
+            onStageStart: advanceProgramStage,
+            onCycleStart: state.activeRamp ? applyRampPace : null
+        });
+        sessionEngine.on('tick', syncEngineState);
+        sessionEngine.on('phaseChange', handlePhaseChange);
+        sessionEngine.on('complete', completeSession);
         state.pulseStartTime = performance.now();
-        state.hasStarted = true;
-        state.startTime = performance.now();
+        sessionEngine.start(state.pulseStartTime);
+        state.sessionStartedAt = Date.now();
+        startBreathMonitor();
+        startHeartRateRecording();
         if (audioContext && audioContext.state === 'suspended') {
             audioContext.resume().then(() => {
                 console.log('AudioContext resumed');
             });
         }
-        playTone();
+        cuePhase(getCurrentPhases()[0]);
+        startContinuousAudio();
+        startSessionTimer();
         animate();
         requestWakeLock();
         render();
     }
 
+    function startWithPreset(minutes) {
+        state.timeLimit = minutes.toString();
+        state.targetRounds = 0;
+        beginSession();
+    }
+
     function startWithRounds(rounds) {
         state.targetRounds = rounds;
-        state.completedRounds = 0;
         state.timeLimit = '';
-        state.isPlaying = true;
-        state.totalTime = 0;
-        const phases = getCurrentPhases();
-        state.countdown = Math.ceil(phases[0].duration);
-        state.count = 0;
-        state.sessionComplete = false;
-        state.timeLimitReached = false;
-        state.readyToEndAfterExhale = false;
-        state.pulseStartTime = performance.now();
-        state.hasStarted = true;
-        state.startTime = performance.now();
-        if (audioContext && audioContext.state === 'suspended') {
-            audioContext.resume().then(() => {
-                console.log('AudioContext resumed');
-            });
+        beginSession();
+    }
+
+    // Pace for the cycle starting at the given session time, rounded to a tenth of a second and
+    // applied to the chosen durations so the ratio between phases stays the same
+    function applyRampPace(cycleStartElapsed) {
+        const { start, target, seconds, savedDurations } = state.activeRamp;
+        const fraction = seconds > 0 ? Math.min(1, cycleStartElapsed / seconds) : 1;
+        const pace = Math.round((start + (target - start) * fraction) * 10) / 10;
+        state.phaseDurations = withPace(state.exerciseType, savedDurations, pace);
+    }
+
+    function endRamp() {
+        if (!state.activeRamp) {
+            return;
         }
-        playTone();
-        animate();
-        requestWakeLock();
+        state.phaseDurations = state.activeRamp.savedDurations;
+        state.activeRamp = null;
+    }
+
+    function applyProgramStage(index) {
+        const settings = getStageSettings(state.program.stages[index]);
+        state.exerciseType = settings.exerciseType;
+        state.phaseDurations = settings.phaseDurations;
+        state.program.stageIndex = index;
+    }
+
+    function startProgram(programId) {
+        const program = state.programs.find(p => p.id === programId);
+        if (!program) {
+            return;
+        }
+        const stages = program.stages.filter(stage => getExercise(stage.exerciseType));
+        if (stages.length === 0) {
+            return;
+        }
+        state.program = {
+            id: program.id,
+            name: program.name,
+            stages,
+            stageIndex: 0,
+            stageLog: [],
+            savedSettings: {
+                exerciseType: state.exerciseType,
+                phaseDurations: [...state.phaseDurations]
+            }
+        };
+        applyProgramStage(0);
+        state.timeLimit = '';
+        state.targetRounds = 0;
+        state.view = 'main';
+        beginSession();
+    }
+
+    function logProgramStage(endElapsed) {
+        const { stageStart, stageRounds } = sessionEngine.getSnapshot();
+        const exercise = getExercise(state.exerciseType);
+        state.program.stageLog.push({
+            exerciseType: state.exerciseType,
+            exerciseName: exercise ? exercise.name : state.exerciseType,
+            durationSeconds: Math.round(endElapsed - stageStart),
+            rounds: stageRounds
+        });
+    }
+
+    // Called by the engine at the exhale boundary, before it starts the stage's first cycle
+    function advanceProgramStage(index, boundaryElapsed) {
+        logProgramStage(boundaryElapsed);
+        applyProgramStage(index);
+    }
+
+    // Restores the settings the program overrode while it was running
+    function endProgram() {
+        if (!state.program) {
+            return;
+        }
+        Object.assign(state, state.program.savedSettings);
+        state.program = null;
+    }
+
+    // Resonance assessment: coherent breathing at a series of paces, each its own session, with a
+    // rest and a comfort rating after each. The paces run in half-second steps, about 6.5 down
+    // to 4.5 breaths/min, and keep the user's inhale to exhale ratio
+    const assessmentPaces = [4.5, 5, 5.5, 6, 6.5];
+    const ASSESSMENT_STEP_MINUTES = 2;
+    const ASSESSMENT_REST_SECONDS = 30;
+    const assessmentRatings = [1, 2, 3, 4, 5];
+    let assessmentRestId = null;
+
+    function getBreathsPerMinute(pace) {
+        return (60 / (pace * 2)).toFixed(1);
+    }
+
+    function startAssessment() {
+        state.assessment = {
+            steps: assessmentPaces.map(pace => ({ pace, rating: null, hrv: null })),
+            stepIndex: 0,
+            restEndsAt: null,
+            // Steps keep the ratio the user chose for coherent breathing
+            coherentDurations: (state.exerciseSettings.coherent || sanitizeExerciseSettings('coherent', {})).phases,
+            savedSettings: {
+                exerciseType: state.exerciseType,
+                phaseDurations: [...state.phaseDurations]
+            }
+        };
+        state.assessmentResult = null;
+        startAssessmentStep(0);
+    }
+
+    function startAssessmentStep(index) {
+        stopAssessmentRest();
+        state.assessment.stepIndex = index;
+        state.exerciseType = 'coherent';
+        state.phaseDurations = withPace('coherent', state.assessment.coherentDurations, state.assessment.steps[index].pace);
+        state.timeLimit = String(ASSESSMENT_STEP_MINUTES);
+        state.targetRounds = 0;
+        state.view = 'main';
+        beginSession();
+    }
+
+    // Called once a step's session has completed and been recorded
+    function finishAssessmentStep() {
+        const { steps, stepIndex } = state.assessment;
+        steps[stepIndex].hrv = state.hrvResult;
+        const isLast = stepIndex === steps.length - 1;
+        state.assessment.restEndsAt = isLast ? null : Date.now() + ASSESSMENT_REST_SECONDS * 1000;
+        state.view = 'assessment';
+        resetToStart();
+        if (!isLast) {
+            assessmentRestId = setInterval(updateAssessmentRest, 1000);
+        }
+        announce(t('assessment.stepDone', { number: stepIndex + 1, total: steps.length, rate: getBreathsPerMinute(steps[stepIndex].pace) }));
+    }
+
+    function getAssessmentRestSeconds() {
+        return Math.max(0, Math.ceil((state.assessment.restEndsAt - Date.now()) / 1000));
+    }
+
+    function updateAssessmentRest() {
+        const seconds = getAssessmentRestSeconds();
+        if (seconds === 0) {
+            startAssessmentStep(state.assessment.stepIndex + 1);
+            return;
+        }
+        const label = document.getElementById('assessment-rest');
+        if (label) {
+            label.textContent = t('assessment.rest', { seconds });
+        }
+    }
+
+    function stopAssessmentRest() {
+        if (assessmentRestId !== null) {
+            clearInterval(assessmentRestId);
+            assessmentRestId = null;
+        }
+    }
+
+    /**
+     * Picks the pace with the largest heart rate swing per breath when every step has one,
+     * otherwise the best rated, with ties going to the larger swing and then to 6 breaths/min.
+     * Returns { pace, basis } or null when nothing was rated or measured.
+     */
+    function recommendResonancePace(steps) {
+        const swing = step => (step.hrv && step.hrv.peakToTrough !== null ? step.hrv.peakToTrough : null);
+        const byHrv = steps.every(step => swing(step) !== null);
+        const candidates = byHrv ? steps : steps.filter(step => step.rating !== null);
+        if (candidates.length === 0) {
+            return null;
+        }
+        const defaultPace = exerciseTypes.coherent.phaseTimeRange.default;
+        const score = step => (byHrv
+            ? [swing(step), step.rating || 0]
+            : [step.rating, swing(step) || 0, -Math.abs(step.pace - defaultPace)]);
+        const best = candidates.reduce((top, step) => {
+            const a = score(step);
+            const b = score(top);
+            const index = a.findIndex((value, i) => value !== b[i]);
+            return index >= 0 && a[index] > b[index] ? step : top;
+        });
+        return { pace: best.pace, basis: byHrv ? 'hrv' : 'rating' };
+    }
+
+    // Restores the settings the steps overrode
+    function endAssessment() {
+        if (!state.assessment) {
+            return;
+        }
+        stopAssessmentRest();
+        Object.assign(state, state.assessment.savedSettings);
+        state.assessment = null;
+    }
+
+    // Shows the results and keeps the recommended pace as the coherent breathing pace
+    function finishAssessment() {
+        const { steps } = state.assessment;
+        const recommendation = recommendResonancePace(steps);
+        endAssessment();
+        if (recommendation) {
+            selectExercise('coherent');
+            state.phaseDurations = withPace('coherent', state.phaseDurations, recommendation.pace);
+            rememberExerciseSettings();
+            saveSettings();
+        }
+        // The durations are kept so the result can show the inhale and exhale it settled on
+        state.assessmentResult = { steps, recommendation, phaseDurations: [...state.phaseDurations] };
+        render();
+    }
+
+    function closeAssessment() {
+        endAssessment();
+        state.assessmentResult = null;
+        state.view = 'main';
+        render();
+        applyPendingUpdate();
+    }
+
+    function rateAssessmentStep(rating) {
+        const { steps, stepIndex } = state.assessment;
+        steps[stepIndex].rating = rating;
         render();
     }
 
+    function estimateStageSeconds(stage) {
+        if (stage.limitType === 'minutes') {
+            return stage.limitValue * 60;
+        }
+        const settings = getStageSettings(stage);
+        const phases = getPhasesFor(settings.exerciseType, settings.phaseDurations);
+        return stage.limitValue * phases.reduce((sum, phase) => sum + phase.duration, 0);
+    }
+
+    function getProgramProgress() {
+        const { stages, stageIndex } = state.program;
+        const estimates = stages.map(estimateStageSeconds);
+        const total = estimates.reduce((sum, seconds) => sum + seconds, 0);
+        const finished = estimates.slice(0, stageIndex).reduce((sum, seconds) => sum + seconds, 0);
+        const stageStart = sessionEngine ? sessionEngine.getSnapshot().stageStart : 0;
+        const current = Math.min(getSessionElapsedSeconds() - stageStart, estimates[stageIndex]);
+        return total > 0 ? Math.min(1, (finished + current) / total) : 0;
+    }
+
+    // Minutes limit in seconds; 4-7-8 uses the limit field for rounds instead
+    function getTimeLimitSeconds() {
+        const minutes = Number.parseInt(state.timeLimit, 10);
+        return state.exerciseType !== 'fourSevenEight' && minutes > 0 ? minutes * 60 : 0;
+    }
+
+    // Fraction of the session done, or null when there is no round or time limit to measure it against
+    function getSessionProgress() {
+        if (state.program) {
+            return null;
+        }
+        if (state.exerciseType === 'fourSevenEight' && state.targetRounds > 0) {
+            const phases = getCurrentPhases();
+            const phase = phases[state.count];
+            const cycleDone = phases.slice(0, state.count).reduce((sum, p) => sum + p.duration, 0)
+                + (phase ? state.phaseProgress * phase.duration : 0);
+            return Math.min(1, (state.completedRounds + cycleDone / getTotalCycleTime()) / state.targetRounds);
+        }
+        const limitSeconds = getTimeLimitSeconds();
+        return limitSeconds > 0 ? Math.min(1, getSessionElapsedSeconds() / limitSeconds) : null;
+    }
+
+    // Phases before the current one are full, the current one fills as it runs
+    function getPhaseFill(index) {
+        if (index < state.count) {
+            return 1;
+        }
+        return index === state.count ? Math.min(1, Math.max(0, state.phaseProgress)) : 0;
+    }
+
+    // Moves the progress ring and fill bars every frame without rebuilding the view
+    function updateProgressIndicators() {
+        app.querySelectorAll('.phase-fill span').forEach((fill, index) => {
+            fill.style.transform = `scaleX(${getPhaseFill(index).toFixed(3)})`;
+        });
+        const ring = app.querySelector('.session-ring');
+        const sessionProgress = getSessionProgress();
+        if (ring && sessionProgress !== null) {
+            ring.querySelector('.session-ring-fill').setAttribute('stroke-dashoffset', (100 - sessionProgress * 100).toFixed(2));
+            const percent = String(Math.floor(sessionProgress * 100));
+            if (ring.getAttribute('aria-valuenow') !== percent) {
+                ring.setAttribute('aria-valuenow', percent);
+            }
+        }
+        const programBar = app.querySelector('.program-status .progress-bar span');
+        if (programBar && state.program) {
+            programBar.style.width = `${(getProgramProgress() * 100).toFixed(1)}%`;
+        }
+    }
+
     function drawScene({ progress = 0, phase = state.count, showTrail = state.isPlaying, timestamp = performance.now() } = {}) {
         if (!ctx) return;
 
@@ -537,15 +2439,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Get current phase info
         const phases = getCurrentPhases();
-        const currentPhaseName = phases[phase]?.name || 'Inhale';
+        const currentPhaseKind = phases[phase]?.kind || 'inhale';
 
         let breathInfluence = 0;
-        if (currentPhaseName === 'Inhale') {
+        if (currentPhaseKind === 'inhale') {
             breathInfluence = easedProgress;
-        } else if (currentPhaseName === 'Exhale') {
+        } else if (currentPhaseKind === 'exhale') {
             breathInfluence = 1 - easedProgress;
         } else if (allowMotion) {
-            // Hold or Wait phases
+            // Hold and rest phases
             breathInfluence = 0.3 + 0.2 * (0.5 + 0.5 * Math.sin(now / 350));
         } else {
             breathInfluence = 0.3;
@@ -565,7 +2467,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         let accentColor = getPhaseColor(phase);
         if (state.sessionComplete) {
-            accentColor = '#4ade80';
+            accentColor = getThemeColors().complete;
         }
 
         const gradientKey = `${Math.round(size * 100)}-${accentColor}-${Math.round(adjustedLeft)}-${Math.round(adjustedTop)}`;
@@ -585,339 +2487,2441 @@ document.addEventListener('DOMContentLoaded', () => {
         ctx.fillStyle = cachedGradient;
         ctx.fillRect(0, 0, width, height);
 
+        const guide = resolveVisualGuide(phases.length);
+        if (guide !== 'glow') {
+            // Reduced motion keeps the guide still and only highlights the current phase
+            const guideSize = allowMotion ? size : sizeWithoutBreath;
+            const bounds = {
+                left: allowMotion ? adjustedLeft : left,
+                top: allowMotion ? adjustedTop : top,
+                size: guideSize
+            };
+            const guideOptions = { phases, phase, progress: clampedProgress, breathInfluence, showTrail, accentColor, isStatic: !allowMotion };
+            if (guide === 'circle') {
+                drawCircleGuide(bounds, guideOptions);
+            } else {
+                drawPolygonGuide(getGuideVertices(guide, bounds), guideOptions);
+            }
+        }
+
         ctx.restore();
     }
 
-    function updateCanvasVisibility() {
-        const shouldShow = state.isPlaying || state.sessionComplete;
-        canvas.classList.toggle('is-visible', shouldShow);
+    function resolveVisualGuide(phaseCount) {
+        if (state.visualGuide !== 'auto') {
+            return state.visualGuide;
+        }
+        if (phaseCount === 4) {
+            return 'square';
+        }
+        if (phaseCount === 3) {
+            return 'triangle';
+        }
+        return 'circle';
     }
 
-    function animate() {
-        if (!state.isPlaying) return;
-
-        const now = performance.now();
-        const phases = getCurrentPhases();
-        const totalCycleTime = getTotalCycleTime();
-        const exhaleIndex = phases.findIndex(p => p.name === 'Exhale');
+    // Vertices start at the bottom left so the first phase (usually the inhale) travels upwards
+    function getGuideVertices(guide, { left, top, size }) {
+        const right = left + size;
+        const bottom = top + size;
+        if (guide === 'triangle') {
+            const triangleHeight = size * Math.sqrt(3) / 2;
+            const triangleTop = top + (size - triangleHeight) / 2;
+            const triangleBottom = triangleTop + triangleHeight;
+            return [
+                { x: left, y: triangleBottom },
+                { x: left + size / 2, y: triangleTop },
+                { x: right, y: triangleBottom }
+            ];
+        }
+        return [
+            { x: left, y: bottom },
+            { x: left, y: top },
+            { x: right, y: top },
+            { x: right, y: bottom }
+        ];
+    }
 
-        // Calculate absolute timing
-        const totalElapsed = (now - state.startTime) / 1000;
-        const newTotalTime = Math.floor(totalElapsed);
+    // Point at a distance along the perimeter, measured in sides from the first vertex
+    function getPerimeterPoint(vertices, distance) {
+        const sideCount = vertices.length;
+        const wrapped = ((distance % sideCount) + sideCount) % sideCount;
+        const sideIndex = Math.floor(wrapped);
+        const fraction = wrapped - sideIndex;
+        const start = vertices[sideIndex];
+        const end = vertices[(sideIndex + 1) % sideCount];
+        return { x: start.x + (end.x - start.x) * fraction, y: start.y + (end.y - start.y) * fraction };
+    }
 
-        // Find current phase based on cycle position
-        const cycleElapsed = totalElapsed % totalCycleTime;
+    function tracePerimeter(vertices, from, to) {
+        const start = getPerimeterPoint(vertices, from);
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        for (let corner = Math.floor(from) + 1; corner < to; corner++) {
+            const vertex = vertices[corner % vertices.length];
+            ctx.lineTo(vertex.x, vertex.y);
+        }
+        const end = getPerimeterPoint(vertices, to);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+    }
 
-        let accumulatedTime = 0;
-        let newCount = 0;
-        let phaseStartTime = 0;
+    function drawPolygonGuide(vertices, { phases, phase, progress, showTrail, accentColor, isStatic }) {
+        const sideCount = vertices.length;
+        // Each phase covers an equal share of the perimeter, so a four-phase box walks one side per phase
+        const sidesPerPhase = sideCount / phases.length;
 
-        for (let i = 0; i < phases.length; i++) {
-            if (cycleElapsed >= accumulatedTime && cycleElapsed < accumulatedTime + phases[i].duration) {
-                newCount = i;
-                phaseStartTime = accumulatedTime;
-                break;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = getThemeColors().track;
+        ctx.beginPath();
+        vertices.forEach((vertex, index) => {
+            if (index === 0) {
+                ctx.moveTo(vertex.x, vertex.y);
+            } else {
+                ctx.lineTo(vertex.x, vertex.y);
             }
-            accumulatedTime += phases[i].duration;
-        }
+        });
+        ctx.closePath();
+        ctx.stroke();
 
-        const currentPhaseDuration = phases[newCount].duration;
-        const phaseElapsed = cycleElapsed - phaseStartTime;
-        const progress = phaseElapsed / currentPhaseDuration;
-        const remaining = currentPhaseDuration - phaseElapsed;
-        const hasHalfSecond = currentPhaseDuration % 1 !== 0;
-        let newCountdown;
-        if (hasHalfSecond && remaining > Math.floor(currentPhaseDuration)) {
-            newCountdown = currentPhaseDuration;
-        } else {
-            newCountdown = Math.ceil(remaining);
+        ctx.lineWidth = 4;
+        if (state.sessionComplete) {
+            ctx.strokeStyle = accentColor;
+            tracePerimeter(vertices, 0, sideCount);
+            return;
         }
 
-        let needsRender = false;
+        if (isStatic) {
+            ctx.strokeStyle = accentColor;
+            tracePerimeter(vertices, phase * sidesPerPhase, (phase + 1) * sidesPerPhase);
+            return;
+        }
 
-        if (newTotalTime !== state.totalTime) {
-            state.totalTime = newTotalTime;
-            needsRender = true;
+        if (showTrail) {
+            for (let i = 0; i <= phase; i++) {
+                const from = i * sidesPerPhase;
+                const to = i === phase ? (i + progress) * sidesPerPhase : (i + 1) * sidesPerPhase;
+                if (to > from) {
+                    ctx.strokeStyle = hexToRgba(phases[i].color, i === phase ? 0.9 : 0.45);
+                    tracePerimeter(vertices, from, to);
+                }
+            }
         }
 
-        const previousCount = state.count;
-        state.count = newCount;
+        const dot = getPerimeterPoint(vertices, (phase + progress) * sidesPerPhase);
+        ctx.fillStyle = accentColor;
+        ctx.shadowColor = accentColor;
+        ctx.shadowBlur = 16;
+        ctx.beginPath();
+        ctx.arc(dot.x, dot.y, 8, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+    }
 
-        const isPhaseTransition = state.count !== previousCount;
-        const exhaleJustCompleted = isPhaseTransition && exhaleIndex >= 0 && previousCount === exhaleIndex;
+    function drawCircleGuide({ left, top, size }, { progress, breathInfluence, showTrail, accentColor, isStatic }) {
+        const centerX = left + size / 2;
+        const centerY = top + size / 2;
+        const maxRadius = size / 2;
+        const radius = isStatic ? maxRadius * 0.8 : maxRadius * (0.55 + 0.45 * breathInfluence);
 
-        // Track completed rounds for 4-7-8 mode
-        // A round is complete when we transition from last phase (exhale) back to first phase (inhale)
-        if (isPhaseTransition && previousCount === phases.length - 1 && newCount === 0) {
-            state.completedRounds++;
-            needsRender = true;
+        ctx.fillStyle = hexToRgba(accentColor, 0.12);
+        ctx.strokeStyle = hexToRgba(accentColor, 0.8);
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
 
-            // For 4-7-8 with target rounds, check if we've completed all rounds.
-            // Mark it to end on this exhale completion transition.
-            if (state.exerciseType === 'fourSevenEight' && state.targetRounds > 0 && state.completedRounds >= state.targetRounds) {
-                state.readyToEndAfterExhale = true;
-            }
+        if (showTrail && !isStatic && !state.sessionComplete) {
+            ctx.strokeStyle = accentColor;
+            ctx.lineWidth = 4;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, maxRadius + 12, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * progress);
+            ctx.stroke();
         }
+    }
+
+    function updateCanvasVisibility() {
+        const shouldShow = state.isPlaying || state.isPaused || state.sessionComplete;
+        canvas.classList.toggle('is-visible', shouldShow);
+    }
 
-        const parsedLimit = Number.parseInt(state.timeLimit, 10);
-        const timeLimitSeconds = Number.isFinite(parsedLimit) ? parsedLimit * 60 : 0;
-        if (state.timeLimit && !state.timeLimitReached && totalElapsed >= timeLimitSeconds) {
-            state.timeLimitReached = true;
-            state.readyToEndAfterExhale = true;
-            needsRender = true;
+    // Mirrors the engine's position into state so the views render it as before
+    function syncEngineState(snapshot) {
+        const next = {
+            count: snapshot.phaseIndex,
+            countdown: snapshot.countdown,
+            totalTime: snapshot.totalTime,
+            phaseProgress: snapshot.progress,
+            completedRounds: snapshot.completedRounds,
+            timeLimitReached: snapshot.timeLimitReached
+        };
+        if (Object.keys(next).some(key => key !== 'phaseProgress' && next[key] !== state[key])) {
+            sessionViewStale = true;
         }
+        Object.assign(state, next);
+    }
 
-        const isFinalTransition = exhaleJustCompleted && state.readyToEndAfterExhale;
+    function handlePhaseChange({ phaseIndex, boundaryElapsed, isLatest }) {
+        const toneScheduled = takeScheduledCue(boundaryElapsed);
+        // A late update from a throttled tab can pass several phases at once; only the one
+        // it lands in is cued
+        if (!isLatest) return;
+        state.pulseStartTime = performance.now();
+        // Phases come from state after any stage change so the cue matches the phase that is starting
+        cuePhase(getCurrentPhases()[phaseIndex], { toneScheduled });
+    }
 
-        if (isPhaseTransition) {
-            state.pulseStartTime = now;
-            playTone({ isCompletionBell: isFinalTransition });
-            needsRender = true;
+    function completeSession({ exhaleIndex, phaseIndex, boundaryElapsed }) {
+        syncEngineState(sessionEngine.getSnapshot());
+        const toneScheduled = takeScheduledCue(boundaryElapsed);
+        finishBreathMonitor();
+        finishHeartRateRecording();
+        recordSession({ completed: true });
+        state.sessionComplete = true;
+        state.isPlaying = false;
+        state.hasStarted = false;
+        cancelAnimationFrame(animationFrameId);
+        stopSessionTimer();
+        stopContinuousAudio();
+        releaseWakeLock();
+        drawScene({ progress: 1, showTrail: false, phase: exhaleIndex });
+        cuePhase(getCurrentPhases()[phaseIndex], { isCompletion: true, toneScheduled });
+        if (state.assessment) {
+            finishAssessmentStep();
+            return;
         }
+        render();
+    }
 
-        // All exercise endings are aligned to exhale completion.
-        if (exhaleJustCompleted && state.readyToEndAfterExhale) {
-            state.sessionComplete = true;
-            state.isPlaying = false;
-            state.hasStarted = false;
-            state.readyToEndAfterExhale = false;
-            cancelAnimationFrame(animationFrameId);
-            releaseWakeLock();
-            drawScene({ progress: 1, showTrail: false, phase: exhaleIndex >= 0 ? exhaleIndex : previousCount });
-            needsRender = true;
-        }
+    // Moves the session on and keeps cues scheduled ahead; runs on a timer as well as every
+    // frame because hidden tabs stop requestAnimationFrame
+    function advanceSession(now = performance.now()) {
+        if (!state.isPlaying) return;
+        sessionEngine.update(now);
+        if (!state.isPlaying) return;
+        scheduleUpcomingCues(now);
+        updateSwell(getCurrentPhases()[state.count].kind, state.phaseProgress);
+    }
+
+    function startSessionTimer() {
+        stopSessionTimer();
+        sessionTimerId = setInterval(() => advanceSession(), 250);
+    }
 
-        if (newCountdown !== state.countdown) {
-            state.countdown = newCountdown;
-            needsRender = true;
+    function stopSessionTimer() {
+        if (sessionTimerId !== null) {
+            clearInterval(sessionTimerId);
+            sessionTimerId = null;
         }
+    }
 
-        drawScene({ progress, timestamp: now });
+    function animate() {
+        if (!state.isPlaying) return;
 
-        if (needsRender) {
-            render();
+        const now = performance.now();
+        advanceSession(now);
+        if (!state.isPlaying) {
+            return;
         }
+        sampleBreath(now);
 
-        if (state.isPlaying) {
-            animationFrameId = requestAnimationFrame(animate);
+        drawScene({ progress: state.phaseProgress, timestamp: now });
+        if (sessionViewStale) {
+            sessionViewStale = false;
+            render();
         }
+        updateProgressIndicators();
+
+        animationFrameId = requestAnimationFrame(animate);
     }
 
+    // Back from a hidden tab: catch the view up with the clock and take the wake lock back
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState !== 'visible' || !state.isPlaying) {
+            return;
+        }
+        if (audioContext && audioContext.state === 'suspended') {
+            audioContext.resume().then(() => {
+                console.log('AudioContext resumed');
+            });
+        }
+        requestWakeLock();
+        cancelAnimationFrame(animationFrameId);
+        sessionViewStale = true;
+        animate();
+    });
 
-    function render() {
-        const exercise = exerciseTypes[state.exerciseType];
-        const phases = getCurrentPhases();
+    // Screen reader announcements go through a live region outside #app-content so re-renders don't reset it
+    const announcer = document.getElementById('announcer');
 
-        let html = `
-            <h1>${exercise.name}</h1>
-        `;
+    function announce(message) {
+        if (!announcer || !message) return;
+        // Clearing first makes repeated messages (e.g. two "Hold" phases) announce again
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, 50);
+    }
 
-        if (state.isPlaying) {
-            // Timer display - show rounds for 4-7-8, time for others
-            if (state.exerciseType === 'fourSevenEight' && state.targetRounds > 0) {
-                html += `<div class="timer">Round ${state.completedRounds + 1} of ${state.targetRounds}</div>`;
-            } else {
-                html += `<div class="timer">Total Time: ${formatTime(state.totalTime)}</div>`;
-            }
-            html += `<div class="instruction">${getInstruction(state.count)}</div>`;
-            // Show countdown number if enabled
-            if (state.countdownEnabled) {
-                const countdownDisplay = state.countdown % 1 !== 0 ? state.countdown.toFixed(1) : state.countdown;
-                html += `<div class="countdown">${countdownDisplay}</div>`;
-            }
-            html += `<div class="phase-tracker">`;
-            phases.forEach((phase, index) => {
-                const phaseColor = phase.color;
-                const softPhaseColor = hexToRgba(phaseColor, 0.25);
-                html += `
-                    <div class="phase-item ${index === state.count ? 'active' : ''}" style="--phase-color: ${phaseColor}; --phase-soft: ${softPhaseColor};">
-                        <span class="phase-dot"></span>
-                        <span class="phase-label">${phase.name}</span>
-                    </div>
-                `;
-            });
-            html += `</div>`;
+    // Selector that finds the equivalent element after the view is rebuilt
+    function getFocusSelector(element) {
+        if (!element || element === app || !app.contains(element)) {
+            return null;
         }
-
-        if (state.timeLimitReached && !state.sessionComplete) {
-            const limitMessage = state.isPlaying ? 'Finishing current cycle...' : 'Time limit reached';
-            html += `<div class="limit-warning">${limitMessage}</div>`;
+        if (element.id) {
+            return `#${element.id}`;
         }
+        const row = element.parentElement && element.parentElement.closest('[data-index]');
+        const scope = row ? `[data-index="${row.dataset.index}"] ` : '';
+        const dataAttribute = [...element.attributes].find(attr => attr.name.startsWith('data-'));
+        if (dataAttribute) {
+            return `${scope}[${dataAttribute.name}="${dataAttribute.value}"]`;
+        }
+        if (row && element.classList.length > 0) {
+            return `${scope}.${element.classList[0]}`;
+        }
+        return null;
+    }
 
-        if (!state.isPlaying && !state.sessionComplete) {
-            // Exercise type selector
-            html += `<div class="exercise-selector">`;
-            Object.entries(exerciseTypes).forEach(([key, ex]) => {
-                html += `
-                    <button class="exercise-button ${state.exerciseType === key ? 'active' : ''}" data-exercise="${key}">
-                        ${ex.name}
-                    </button>
-                `;
-            });
-            html += `</div>`;
+    // Set when leaving a screen so focus returns to the button that opened it
+    let returnFocusSelector = null;
 
-            html += `<p class="exercise-description">${exercise.description}</p>`;
+    function setAppContent(html) {
+        const focusedInApp = app.contains(document.activeElement) && document.activeElement !== app;
+        const focusSelector = returnFocusSelector || getFocusSelector(document.activeElement);
+        returnFocusSelector = null;
 
-            html += `
-                <div class="settings">
-                    <div class="form-group">
-                        <label class="switch">
-                            <input type="checkbox" id="sound-toggle" ${state.soundEnabled ? 'checked' : ''}>
-                            <span class="slider"></span>
-                        </label>
-                        <label for="sound-toggle">
-                            ${state.soundEnabled ? icons.volume2 : icons.volumeX}
-                            Sound ${state.soundEnabled ? 'On' : 'Off'}
-                        </label>
-                    </div>
-                    <div class="form-group">
-                        <label class="switch">
-                            <input type="checkbox" id="countdown-toggle" ${state.countdownEnabled ? 'checked' : ''}>
-                            <span class="slider"></span>
-                        </label>
-                        <label for="countdown-toggle">
-                            ${icons.hash}
-                            Countdown ${state.countdownEnabled ? 'On' : 'Off'}
-                        </label>
-                    </div>
-                    <div class="form-group">
-                        <input
-                            type="number"
-                            inputmode="numeric"
-                            placeholder="${state.exerciseType === 'fourSevenEight' ? 'Rounds' : 'Time limit (minutes)'}"
-                            value="${state.timeLimit}"
-                            id="time-limit"
-                            step="1"
-                            min="0"
-                        >
-                        <label for="time-limit">${state.exerciseType === 'fourSevenEight' ? 'Rounds (optional)' : 'Minutes (optional)'}</label>
-                    </div>
-                </div>
-                <div class="prompt">Press start to begin</div>
-            `;
-        }
+        app.innerHTML = html;
+        mainViewMounted = false;
+        updateCanvasVisibility();
 
+        if (!focusedInApp) {
+            return;
+        }
+        const target = (focusSelector && app.querySelector(focusSelector))
+            || document.getElementById('toggle-play')
+            || app.querySelector('button, input, select');
+        if (target) {
+            target.focus({ preventScroll: true });
+        }
+    }
+
+    // Custom pattern editor
+    function createPatternId() {
+        return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    function openPatternEditor(patternId = null) {
+        const existing = patternId ? state.customPatterns.find(p => p.id === patternId) : null;
+        state.editingPattern = existing
+            ? { id: existing.id, name: existing.name, phases: existing.phases.map(phase => ({ ...phase })) }
+            : {
+                id: null,
+                name: '',
+                phases: [
+                    createPhase('inhale', 4),
+                    createPhase('exhale', 4)
+                ]
+            };
+        state.editorError = '';
+        state.view = 'patternEditor';
+        render();
+    }
+
+    function closePatternEditor() {
+        state.editingPattern = null;
+        state.editorError = '';
+        state.view = 'main';
+        render();
+    }
+
+    function addEditorPhase() {
+        const draft = state.editingPattern;
+        draft.phases.push(createPhase(getSuggestedPhaseKind(draft.phases.length), 4));
+        render();
+    }
+
+    function removeEditorPhase(index) {
+        const draft = state.editingPattern;
+        if (draft.phases.length <= 1) {
+            return;
+        }
+        draft.phases.splice(index, 1);
+        render();
+    }
+
+    function savePatternEditor() {
+        const draft = state.editingPattern;
+        const name = draft.name.trim();
+        if (!name) {
+            state.editorError = t('pattern.error.name');
+            render();
+            return;
+        }
+        const invalidIndex = draft.phases.findIndex(phase => {
+            const duration = Number(phase.duration);
+            return !phase.name.trim()
+                || !Number.isFinite(duration)
+                || duration < customPhaseRange.min
+                || duration > customPhaseRange.max;
+        });
+        if (invalidIndex >= 0) {
+            state.editorError = t('pattern.error.phase', { number: invalidIndex + 1, min: customPhaseRange.min, max: customPhaseRange.max });
+            render();
+            return;
+        }
+        const pattern = sanitizeCustomPattern({ id: draft.id || createPatternId(), name, phases: draft.phases });
+        const existingIndex = state.customPatterns.findIndex(p => p.id === pattern.id);
+        if (existingIndex >= 0) {
+            state.customPatterns.splice(existingIndex, 1, pattern);
+        } else {
+            state.customPatterns.push(pattern);
+        }
+        state.exerciseType = `${CUSTOM_PREFIX}${pattern.id}`;
+        saveSettings();
+        closePatternEditor();
+    }
+
+    function deleteEditedPattern() {
+        const draft = state.editingPattern;
+        if (!draft.id || !window.confirm(t('pattern.confirmDelete', { name: draft.name || t('pattern.thisPattern') }))) {
+            return;
+        }
+        state.customPatterns = state.customPatterns.filter(p => p.id !== draft.id);
+        if (state.exerciseType === `${CUSTOM_PREFIX}${draft.id}`) {
+            state.exerciseType = 'box';
+        }
+        saveSettings();
+        closePatternEditor();
+    }
+
+    function renderPatternEditor() {
+        const draft = state.editingPattern;
+        const validDurations = draft.phases.map(phase => Number(phase.duration)).filter(Number.isFinite);
+        const cycleTime = validDurations.reduce((sum, duration) => sum + duration, 0);
+
+        let html = `
+            <h1>${t(draft.id ? 'pattern.edit' : 'pattern.new')}</h1>
+            <div class="pattern-editor">
+                <div class="form-group">
+                    <label for="pattern-name">${t('editor.name')}</label>
+                    <input type="text" id="pattern-name" maxlength="32" placeholder="${escapeHtml(t('pattern.namePlaceholder'))}" value="${escapeHtml(draft.name)}">
+                </div>
+                <div class="pattern-phases">
+        `;
+        draft.phases.forEach((phase, index) => {
+            html += `
+                    <div class="pattern-phase-row" data-index="${index}">
+                        <select class="pattern-phase-kind" aria-label="${escapeHtml(t('pattern.phaseKind', { number: index + 1 }))}">
+                            ${phaseKinds.map(kind => `<option value="${kind}" ${phase.kind === kind ? 'selected' : ''}>${t(`phase.${kind}`)}</option>`).join('')}
+                        </select>
+                        <input type="text" class="pattern-phase-name" list="phase-name-options" maxlength="24" value="${escapeHtml(phase.name)}" aria-label="${escapeHtml(t('pattern.phaseName', { number: index + 1 }))}">
+                        <input type="number" class="pattern-phase-duration" inputmode="decimal" min="${customPhaseRange.min}" max="${customPhaseRange.max}" step="${customPhaseRange.step}" value="${escapeHtml(phase.duration)}" aria-label="${escapeHtml(t('pattern.phaseDuration', { number: index + 1 }))}">
+                        <input type="color" class="pattern-phase-color" value="${escapeHtml(phase.color)}" aria-label="${escapeHtml(t('pattern.phaseColor', { number: index + 1 }))}">
+                        <button class="pattern-phase-remove" aria-label="${escapeHtml(t('pattern.removePhase', { number: index + 1 }))}" ${draft.phases.length <= 1 ? 'disabled' : ''}>${icons.trash}</button>
+                    </div>
+            `;
+        });
+        html += `
+                </div>
+                <datalist id="phase-name-options">
+                    ${phaseKinds.map(kind => `<option value="${escapeHtml(t(`phase.${kind}`))}"></option>`).join('')}
+                </datalist>
+                <button id="pattern-add-phase" class="preset-button">${icons.plus} ${t('pattern.addPhase')}</button>
+                <p class="exercise-description">${t('pattern.cycleLength', { seconds: `<span id="pattern-cycle-time">${formatSeconds(Math.round(cycleTime * 10) / 10)}</span>` })}</p>
+        `;
+        if (state.editorError) {
+            html += `<div class="limit-warning">${escapeHtml(state.editorError)}</div>`;
+        }
+        html += `
+                <div class="shortcut-buttons">
+                    <button id="pattern-save" class="preset-button">${t('editor.save')}</button>
+                    <button id="pattern-cancel" class="preset-button">${t('editor.cancel')}</button>
+                    ${draft.id ? `<button id="pattern-delete" class="preset-button">${icons.trash} ${t('editor.delete')}</button>` : ''}
+                </div>
+            </div>
+        `;
+
+        setAppContent(html);
+
+        document.getElementById('pattern-name').addEventListener('input', (e) => {
+            draft.name = e.target.value;
+        });
+        document.querySelectorAll('.pattern-phase-row').forEach(row => {
+            const phase = draft.phases[Number(row.dataset.index)];
+            // A name that was just the old kind's label follows the new kind
+            row.querySelector('.pattern-phase-kind').addEventListener('change', (e) => {
+                if (!phase.name.trim() || isPhaseLabel(phase.name, phase.kind)) {
+                    phase.name = t(`phase.${e.target.value}`);
+                }
+                phase.kind = e.target.value;
+                render();
+            });
+            row.querySelector('.pattern-phase-name').addEventListener('input', (e) => {
+                phase.name = e.target.value;
+            });
+            row.querySelector('.pattern-phase-duration').addEventListener('input', (e) => {
+                phase.duration = parseFloat(e.target.value);
+                const total = draft.phases.reduce((sum, p) => sum + (Number.isFinite(p.duration) ? p.duration : 0), 0);
+                document.getElementById('pattern-cycle-time').textContent = formatSeconds(Math.round(total * 10) / 10);
+            });
+            row.querySelector('.pattern-phase-color').addEventListener('input', (e) => {
+                phase.color = e.target.value;
+            });
+            row.querySelector('.pattern-phase-remove').addEventListener('click', () => {
+                removeEditorPhase(Number(row.dataset.index));
+            });
+        });
+        document.getElementById('pattern-add-phase').addEventListener('click', addEditorPhase);
+        document.getElementById('pattern-save').addEventListener('click', savePatternEditor);
+        document.getElementById('pattern-cancel').addEventListener('click', closePatternEditor);
+        const deleteButton = document.getElementById('pattern-delete');
+        if (deleteButton) {
+            deleteButton.addEventListener('click', deleteEditedPattern);
+        }
+    }
+
+    // Programs screen and editor
+    function describeStage(stage) {
+        const exercise = getExercise(stage.exerciseType);
+        const name = exercise ? exercise.name : t('program.missingExercise');
+        const limit = stage.limitType === 'rounds'
+            ? t('count.rounds', { count: stage.limitValue })
+            : t('count.minutes', { count: stage.limitValue });
+        return `${name} ${limit}`;
+    }
+
+    function openPrograms() {
+        state.view = 'programs';
+        render();
+    }
+
+    function closePrograms() {
+        returnFocusSelector = '#open-programs';
+        state.view = 'main';
+        render();
+    }
+
+    function openProgramEditor(programId = null) {
+        const existing = programId ? state.programs.find(p => p.id === programId) : null;
+        state.editingProgram = existing
+            ? { id: existing.id, name: existing.name, stages: existing.stages.map(stage => ({ ...stage })) }
+            : {
+                id: null,
+                name: '',
+                stages: [
+                    { exerciseType: 'coherent', pace: exerciseTypes.coherent.phaseTimeRange.default, limitType: 'minutes', limitValue: 2 },
+                    { exerciseType: 'box', pace: exerciseTypes.box.phaseTimeRange.default, limitType: 'minutes', limitValue: 5 },
+                    { exerciseType: 'fourSevenEight', pace: null, limitType: 'rounds', limitValue: 4 }
+                ]
+            };
+        state.editorError = '';
+        state.view = 'programEditor';
+        render();
+    }
+
+    function closeProgramEditor() {
+        state.editingProgram = null;
+        state.editorError = '';
+        state.view = 'programs';
+        render();
+    }
+
+    function setDraftStageExercise(stage, type) {
+        const range = getPaceRange(type);
+        stage.exerciseType = type;
+        stage.pace = range ? range.default : null;
+        if (type === 'fourSevenEight' && stage.limitType === 'minutes') {
+            stage.limitType = 'rounds';
+        }
+    }
+
+    function saveProgramEditor() {
+        const draft = state.editingProgram;
+        const name = draft.name.trim();
+        if (!name) {
+            state.editorError = t('program.error.name');
+            render();
+            return;
+        }
+        const invalidIndex = draft.stages.findIndex(stage => sanitizeProgramStage(stage) === null);
+        if (invalidIndex >= 0) {
+            state.editorError = t('program.error.stage', { number: invalidIndex + 1, min: sessionLimitRange.min });
+            render();
+            return;
+        }
+        const program = sanitizeProgram({ id: draft.id || createPatternId(), name, stages: draft.stages });
+        const existingIndex = state.programs.findIndex(p => p.id === program.id);
+        if (existingIndex >= 0) {
+            state.programs.splice(existingIndex, 1, program);
+        } else {
+            state.programs.push(program);
+        }
+        saveSettings();
+        closeProgramEditor();
+    }
+
+    function deleteEditedProgram() {
+        const draft = state.editingProgram;
+        if (!draft.id || !window.confirm(t('program.confirmDelete', { name: draft.name || t('program.thisProgram') }))) {
+            return;
+        }
+        state.programs = state.programs.filter(p => p.id !== draft.id);
+        saveSettings();
+        closeProgramEditor();
+    }
+
+    function renderPrograms() {
+        let html = `<h1>${t('programs.title')}</h1>`;
+
+        if (state.programs.length === 0) {
+            html += `<p class="exercise-description">${t('programs.empty')}</p>`;
+        } else {
+            html += `<div class="program-list">`;
+            state.programs.forEach(program => {
+                html += `
+                    <div class="program-card">
+                        <div class="program-name">${escapeHtml(program.name)}</div>
+                        <div class="exercise-description">${program.stages.map(stage => escapeHtml(describeStage(stage))).join(' &rarr; ')}</div>
+                        <div class="shortcut-buttons">
+                            <button class="preset-button" data-start-program="${program.id}">${icons.play} ${t('controls.start')}</button>
+                            <button class="exercise-button" data-edit-program="${program.id}">${icons.edit} ${t('editor.edit')}</button>
+                        </div>
+                    </div>
+                `;
+            });
+            html += `</div>`;
+        }
+
+        html += `
+            <div class="session-controls">
+                <button id="new-program" class="preset-button">${icons.plus} ${t('program.new')}</button>
+                <button id="programs-back">${icons.rotateCcw} ${t('nav.back')}</button>
+            </div>
+        `;
+
+        setAppContent(html);
+
+        document.querySelectorAll('[data-start-program]').forEach(btn => {
+            btn.addEventListener('click', () => startProgram(btn.dataset.startProgram));
+        });
+        document.querySelectorAll('[data-edit-program]').forEach(btn => {
+            btn.addEventListener('click', () => openProgramEditor(btn.dataset.editProgram));
+        });
+        document.getElementById('new-program').addEventListener('click', () => openProgramEditor());
+        document.getElementById('programs-back').addEventListener('click', closePrograms);
+    }
+
+    function describeAssessmentStep(step) {
+        const parts = [step.rating !== null ? t(`assessment.rating.${step.rating}`) : t('assessment.notRated')];
+        if (step.hrv && step.hrv.peakToTrough !== null) {
+            parts.push(t('assessment.swing', { swing: step.hrv.peakToTrough.toFixed(1) }));
+        }
+        return parts.join(' &middot; ');
+    }
+
+    function renderAssessmentResult() {
+        const { steps, recommendation, phaseDurations } = state.assessmentResult;
+        let html = `<h1>${t('assessment.title')}</h1>`;
+        if (recommendation) {
+            html += `<p class="exercise-description">${t('assessment.recommendation', {
+                rate: getBreathsPerMinute(recommendation.pace),
+                inhale: formatSeconds(phaseDurations[0]),
+                exhale: formatSeconds(phaseDurations[1])
+            })} ${t(`assessment.basis.${recommendation.basis}`)}</p>`;
+        } else {
+            html += `<p class="exercise-description">${t('assessment.noRecommendation')}</p>`;
+        }
+        html += `<div class="program-list">`;
+        steps.forEach(step => {
+            html += `
+                <div class="program-card">
+                    <div class="program-name">${t('session.breathsPerMinute', { rate: getBreathsPerMinute(step.pace) })}</div>
+                    <div class="exercise-description">${describeAssessmentStep(step)}</div>
+                </div>
+            `;
+        });
+        html += `
+            </div>
+            <div class="session-controls">
+                <button id="assessment-close">${icons.rotateCcw} ${t('nav.backToStart')}</button>
+            </div>
+        `;
+        setAppContent(html);
+        document.getElementById('assessment-close').addEventListener('click', closeAssessment);
+    }
+
+    // Between steps: rate the step just finished while the rest counts down to the next one
+    function renderAssessment() {
+        if (state.assessmentResult) {
+            renderAssessmentResult();
+            return;
+        }
+        const { steps, stepIndex, restEndsAt } = state.assessment;
+        const step = steps[stepIndex];
+        let html = `
+            <h1>${t('assessment.title')}</h1>
+            <p class="exercise-description">${t('assessment.stepDone', { number: stepIndex + 1, total: steps.length, rate: getBreathsPerMinute(step.pace) })}</p>
+        `;
+        if (step.hrv && step.hrv.peakToTrough !== null) {
+            html += `<p class="hrv-result">${t('assessment.swing', { swing: step.hrv.peakToTrough.toFixed(1) })}</p>`;
+        }
+        html += `
+            <p class="prompt" id="assessment-question">${t('assessment.question')}</p>
+            <div class="shortcut-buttons" role="group" aria-labelledby="assessment-question">
+                ${assessmentRatings.map(rating => `
+                <button id="assessment-rating-${rating}" class="exercise-button ${step.rating === rating ? 'active' : ''}" aria-pressed="${step.rating === rating}">
+                    ${rating} &middot; ${t(`assessment.rating.${rating}`)}
+                </button>`).join('')}
+            </div>
+        `;
+        if (restEndsAt !== null) {
+            html += `<p class="exercise-description" id="assessment-rest">${t('assessment.rest', { seconds: getAssessmentRestSeconds() })}</p>`;
+        }
+        html += `
+            <div class="session-controls">
+                <button id="assessment-next">${icons.play} ${t(restEndsAt !== null ? 'assessment.next' : 'assessment.finish')}</button>
+                <button id="assessment-stop">${icons.square} ${t('assessment.stop')}</button>
+            </div>
+        `;
+        setAppContent(html);
+
+        assessmentRatings.forEach(rating => {
+            document.getElementById(`assessment-rating-${rating}`).addEventListener('click', () => rateAssessmentStep(rating));
+        });
+        document.getElementById('assessment-next').addEventListener('click', () => {
+            if (restEndsAt !== null) {
+                startAssessmentStep(stepIndex + 1);
+            } else {
+                finishAssessment();
+            }
+        });
+        document.getElementById('assessment-stop').addEventListener('click', closeAssessment);
+    }
+
+    function renderProgramEditor() {
+        const draft = state.editingProgram;
+        const entries = getExerciseEntries();
+
+        let html = `
+            <h1>${t(draft.id ? 'program.edit' : 'program.new')}</h1>
+            <div class="pattern-editor">
+                <div class="form-group">
+                    <label for="program-name">${t('editor.name')}</label>
+                    <input type="text" id="program-name" maxlength="32" placeholder="${escapeHtml(t('program.namePlaceholder'))}" value="${escapeHtml(draft.name)}">
+                </div>
+                <div class="pattern-phases">
+        `;
+        draft.stages.forEach((stage, index) => {
+            const range = getPaceRange(stage.exerciseType);
+            const paceLabel = range ? getExercise(stage.exerciseType).phaseTimeLabel : '';
+            html += `
+                    <div class="pattern-phase-row program-stage-row" data-index="${index}">
+                        <span class="program-stage-number">${index + 1}</span>
+                        <select class="program-stage-exercise" aria-label="${escapeHtml(t('program.stageExercise', { number: index + 1 }))}">
+                            ${entries.map(([key, ex]) => `<option value="${key}" ${key === stage.exerciseType ? 'selected' : ''}>${escapeHtml(ex.name)}</option>`).join('')}
+                        </select>
+                        ${range ? `<input type="number" class="program-stage-pace" inputmode="decimal" min="${range.min}" max="${range.max}" step="${range.step}" value="${stage.pace}" aria-label="${escapeHtml(t('program.stagePace', { number: index + 1, label: paceLabel }))}" title="${escapeHtml(t('program.paceTitle', { label: paceLabel }))}">` : ''}
+                        <input type="number" class="program-stage-limit" inputmode="numeric" min="${sessionLimitRange.min}" max="${sessionLimitRange.max}" step="1" value="${escapeHtml(stage.limitValue)}" aria-label="${escapeHtml(t('program.stageLimit', { number: index + 1 }))}">
+                        <select class="program-stage-limit-type" aria-label="${escapeHtml(t('program.stageLimitType', { number: index + 1 }))}">
+                            <option value="minutes" ${stage.limitType === 'minutes' ? 'selected' : ''}>${t('unit.min')}</option>
+                            <option value="rounds" ${stage.limitType === 'rounds' ? 'selected' : ''}>${t('unit.rounds')}</option>
+                        </select>
+                        <button class="pattern-phase-remove" aria-label="${escapeHtml(t('program.removeStage', { number: index + 1 }))}" ${draft.stages.length <= 1 ? 'disabled' : ''}>${icons.trash}</button>
+                    </div>
+            `;
+        });
+        html += `
+                </div>
+                <button id="program-add-stage" class="preset-button">${icons.plus} ${t('program.addStage')}</button>
+                <p class="exercise-description">${t('program.stageHint')}</p>
+        `;
+        if (state.editorError) {
+            html += `<div class="limit-warning">${escapeHtml(state.editorError)}</div>`;
+        }
+        html += `
+                <div class="shortcut-buttons">
+                    <button id="program-save" class="preset-button">${t('editor.save')}</button>
+                    <button id="program-cancel" class="preset-button">${t('editor.cancel')}</button>
+                    ${draft.id ? `<button id="program-delete" class="preset-button">${icons.trash} ${t('editor.delete')}</button>` : ''}
+                </div>
+            </div>
+        `;
+
+        setAppContent(html);
+
+        document.getElementById('program-name').addEventListener('input', (e) => {
+            draft.name = e.target.value;
+        });
+        document.querySelectorAll('.program-stage-row').forEach(row => {
+            const index = Number(row.dataset.index);
+            const stage = draft.stages[index];
+            row.querySelector('.program-stage-exercise').addEventListener('change', (e) => {
+                setDraftStageExercise(stage, e.target.value);
+                render();
+            });
+            const paceInput = row.querySelector('.program-stage-pace');
+            if (paceInput) {
+                paceInput.addEventListener('change', (e) => {
+                    const range = getPaceRange(stage.exerciseType);
+                    const value = parseFloat(e.target.value);
+                    stage.pace = clampToRange(Number.isFinite(value) ? value : range.default, range);
+                    e.target.value = stage.pace;
+                });
+            }
+            row.querySelector('.program-stage-limit').addEventListener('input', (e) => {
+                stage.limitValue = e.target.value.replace(/[^0-9]/g, '');
+            });
+            row.querySelector('.program-stage-limit-type').addEventListener('change', (e) => {
+                stage.limitType = e.target.value;
+            });
+            row.querySelector('.pattern-phase-remove').addEventListener('click', () => {
+                if (draft.stages.length > 1) {
+                    draft.stages.splice(index, 1);
+                    render();
+                }
+            });
+        });
+        document.getElementById('program-add-stage').addEventListener('click', () => {
+            const stage = { exerciseType: 'box', pace: null, limitType: 'minutes', limitValue: 2 };
+            setDraftStageExercise(stage, 'box');
+            draft.stages.push(stage);
+            render();
+        });
+        document.getElementById('program-save').addEventListener('click', saveProgramEditor);
+        document.getElementById('program-cancel').addEventListener('click', closeProgramEditor);
+        const deleteButton = document.getElementById('program-delete');
+        if (deleteButton) {
+            deleteButton.addEventListener('click', deleteEditedProgram);
+        }
+    }
+
+    // History screen
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function startOfDay(timestamp) {
+        const date = new Date(timestamp);
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+
+    function startOfWeek(timestamp) {
+        const date = new Date(startOfDay(timestamp));
+        // Weeks start on Monday
+        const offset = (date.getDay() + 6) % 7;
+        date.setDate(date.getDate() - offset);
+        return date.getTime();
+    }
+
+    function addDays(timestamp, days) {
+        const date = new Date(timestamp);
+        date.setDate(date.getDate() + days);
+        return date.getTime();
+    }
+
+    function summarizeHistory(records, now = Date.now()) {
+        const today = startOfDay(now);
+        const secondsByDay = new Map();
+        const sessionsByDay = new Map();
+        const secondsByExercise = new Map();
+        let totalSeconds = 0;
+
+        records.forEach(record => {
+            const day = startOfDay(record.startedAt);
+            secondsByDay.set(day, (secondsByDay.get(day) || 0) + record.durationSeconds);
+            sessionsByDay.set(day, (sessionsByDay.get(day) || 0) + 1);
+            const name = record.exerciseName || record.exerciseType;
+            secondsByExercise.set(name, (secondsByExercise.get(name) || 0) + record.durationSeconds);
+            totalSeconds += record.durationSeconds;
+        });
+
+        const days = [];
+        for (let i = 6; i >= 0; i--) {
+            const day = addDays(today, -i);
+            days.push({ start: day, seconds: secondsByDay.get(day) || 0, sessions: sessionsByDay.get(day) || 0 });
+        }
+
+        const weeks = [];
+        const thisWeek = startOfWeek(now);
+        for (let i = 3; i >= 0; i--) {
+            const weekStart = addDays(thisWeek, -7 * i);
+            const weekEnd = addDays(weekStart, 7);
+            let seconds = 0;
+            let sessions = 0;
+            secondsByDay.forEach((value, day) => {
+                if (day >= weekStart && day < weekEnd) {
+                    seconds += value;
+                    sessions += sessionsByDay.get(day);
+                }
+            });
+            weeks.push({ start: weekStart, seconds, sessions });
+        }
+
+        // The current streak still counts if today has no session yet but yesterday did
+        let currentStreak = 0;
+        let cursor = secondsByDay.has(today) ? today : addDays(today, -1);
+        while (secondsByDay.has(cursor)) {
+            currentStreak++;
+            cursor = addDays(cursor, -1);
+        }
+
+        let longestStreak = 0;
+        let run = 0;
+        let previousDay = null;
+        [...secondsByDay.keys()].sort((a, b) => a - b).forEach(day => {
+            run = previousDay !== null && addDays(previousDay, 1) === day ? run + 1 : 1;
+            longestStreak = Math.max(longestStreak, run);
+            previousDay = day;
+        });
+
+        const byExercise = [...secondsByExercise.entries()]
+            .map(([name, seconds]) => ({ name, seconds }))
+            .sort((a, b) => b.seconds - a.seconds);
+
+        return { days, weeks, currentStreak, longestStreak, byExercise, totalSeconds, totalSessions: records.length };
+    }
+
+    function formatMinutes(seconds) {
+        const minutes = seconds / 60;
+        return minutes >= 10 || minutes === 0 ? `${Math.round(minutes)}` : minutes.toFixed(1);
+    }
+
+    function openHistory() {
+        state.view = 'history';
+        state.historyRecords = null;
+        state.historyError = '';
+        render();
+        getSessionRecords()
+            .then(records => {
+                state.historyRecords = records;
+            })
+            .catch(err => {
+                console.error('Failed to load history:', err);
+                state.historyError = t('history.unavailable');
+            })
+            .then(() => {
+                if (state.view === 'history') {
+                    render();
+                }
+            });
+    }
+
+    function closeHistory() {
+        returnFocusSelector = '#open-history';
+        state.view = 'main';
+        state.historyRecords = null;
+        state.backupMessage = '';
+        render();
+    }
+
+    function renderHistoryTable(caption, rows) {
+        return `
+            <table class="history-table">
+                <caption>${caption}</caption>
+                <tbody>
+                    ${rows.map(([label, value]) => `<tr><th scope="row">${escapeHtml(label)}</th><td>${value}</td></tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    function renderHistory() {
+        let html = `<h1>${t('history.title')}</h1>`;
+
+        if (state.historyError) {
+            html += `<p class="exercise-description">${escapeHtml(state.historyError)}</p>`;
+        } else if (!state.historyRecords) {
+            html += `<p class="exercise-description">${t('history.loading')}</p>`;
+        } else if (state.historyRecords.length === 0) {
+            html += `<p class="exercise-description">${t('history.empty')}</p>`;
+        } else {
+            const summary = summarizeHistory(state.historyRecords);
+            const dayFormat = { weekday: 'short', day: 'numeric', month: 'short' };
+            const weekFormat = { day: 'numeric', month: 'short' };
+            const amountLabel = (seconds, sessions) => `${t('count.minutes', { count: formatMinutes(seconds) })} &middot; ${t('count.sessions', { count: sessions })}`;
+            html += `
+                <div class="history-summary">
+                    <div class="history-stat"><span class="history-value">${formatMinutes(summary.totalSeconds)}</span>${t('history.totalMinutes')}</div>
+                    <div class="history-stat"><span class="history-value">${summary.totalSessions}</span>${t('history.sessions')}</div>
+                    <div class="history-stat"><span class="history-value">${summary.currentStreak}</span>${t('history.dayStreak')}</div>
+                    <div class="history-stat"><span class="history-value">${summary.longestStreak}</span>${t('history.bestStreak')}</div>
+                </div>
+                <div class="history-tables">
+            `;
+            html += renderHistoryTable(t('history.lastDays'), summary.days.map(day => [
+                new Date(day.start).toLocaleDateString(locale, dayFormat),
+                amountLabel(day.seconds, day.sessions)
+            ]));
+            html += renderHistoryTable(t('history.lastWeeks'), summary.weeks.map(week => [
+                t('history.weekOf', { date: new Date(week.start).toLocaleDateString(locale, weekFormat) }),
+                amountLabel(week.seconds, week.sessions)
+            ]));
+            html += renderHistoryTable(t('history.byExercise'), summary.byExercise.map(entry => [
+                entry.name,
+                t('count.minutes', { count: formatMinutes(entry.seconds) })
+            ]));
+            html += `</div>`;
+        }
+
+        html += `
+            <div class="view-links">
+                <button id="export-backup" class="exercise-button">${icons.download} ${t('backup.export')}</button>
+                <button id="import-backup" class="exercise-button">${icons.upload} ${t('backup.import')}</button>
+                <button id="export-csv" class="exercise-button">${icons.download} ${t('backup.csv')}</button>
+                <input type="file" id="import-file" accept="application/json,.json" hidden>
+            </div>
+            <p class="exercise-description backup-message" role="status">${escapeHtml(state.backupMessage)}</p>
+            <button id="history-back">
+                ${icons.rotateCcw}
+                ${t('nav.back')}
+            </button>
+        `;
+
+        setAppContent(html);
+
+        const importFile = document.getElementById('import-file');
+        document.getElementById('export-backup').addEventListener('click', exportBackup);
+        document.getElementById('import-backup').addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', () => {
+            if (importFile.files.length > 0) {
+                importBackup(importFile.files[0]);
+            }
+        });
+        document.getElementById('export-csv').addEventListener('click', exportSessionsCsv);
+        document.getElementById('history-back').addEventListener('click', closeHistory);
+    }
+
+    // Backups: a versioned JSON file of settings, user-defined data and history, plus a CSV of sessions
+    const BACKUP_FORMAT = 'breathing-exercises-backup';
+    const BACKUP_VERSION = 1;
+
+    function getDateStamp() {
+        const date = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    function downloadFile(filename, contents, type) {
+        const url = URL.createObjectURL(new Blob([contents], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function showBackupMessage(message) {
+        state.backupMessage = message;
+        if (state.view === 'history') {
+            render();
+        }
+    }
+
+    function exportBackup() {
+        getSessionRecords()
+            .catch(() => [])
+            .then(records => {
+                const backup = {
+                    format: BACKUP_FORMAT,
+                    version: BACKUP_VERSION,
+                    exportedAt: new Date().toISOString(),
+                    settings: getSettingsSnapshot(),
+                    customPatterns: state.customPatterns,
+                    programs: state.programs,
+                    reminders: state.reminders,
+                    // IndexedDB assigns new ids on import
+                    history: records.map(({ id, ...record }) => record)
+                };
+                downloadFile(`breathing-exercises-${getDateStamp()}.json`, JSON.stringify(backup, null, 2), 'application/json');
+                showBackupMessage(t('backup.exported', { sessions: t('count.sessions', { count: records.length }) }));
+            });
+    }
+
+    const csvColumns = [
+        ['started', record => new Date(record.startedAt).toISOString()],
+        ['ended', record => new Date(record.endedAt).toISOString()],
+        ['exercise', record => record.exerciseName],
+        ['exercise_type', record => record.exerciseType],
+        ['program', record => (record.program ? record.program.name : '')],
+        ['duration_seconds', record => record.durationSeconds],
+        ['rounds_completed', record => record.roundsCompleted],
+        ['completed', record => (record.completed ? 'yes' : 'no')],
+        ['adherence_percent', record => (Number.isFinite(record.adherence) ? record.adherence : '')],
+        ['mean_heart_rate', record => (record.heartRate && Number.isFinite(record.heartRate.meanHeartRate) ? record.heartRate.meanHeartRate : '')],
+        ['rmssd_ms', record => (record.heartRate && Number.isFinite(record.heartRate.rmssd) ? record.heartRate.rmssd : '')],
+        ['hrv_coherence', record => (record.heartRate && Number.isFinite(record.heartRate.coherence) ? record.heartRate.coherence : '')],
+        ['phases', record => (record.phases || []).map(phase => `${phase.name} ${phase.duration}s`).join(' / ')]
+    ];
+
+    function toCsvField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        // Keep spreadsheets from treating pattern or program names as formulas
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function exportSessionsCsv() {
+        getSessionRecords()
+            .then(records => {
+                if (records.length === 0) {
+                    showBackupMessage(t('backup.noSessions'));
+                    return;
+                }
+                const rows = [...records]
+                    .sort((a, b) => a.startedAt - b.startedAt)
+                    .map(record => csvColumns.map(([, getValue]) => toCsvField(getValue(record))).join(','));
+                const csv = [csvColumns.map(([name]) => name).join(','), ...rows].join('\r\n');
+                downloadFile(`breathing-sessions-${getDateStamp()}.csv`, csv, 'text/csv');
+                showBackupMessage(t('backup.exportedCsv', { sessions: t('count.sessions', { count: records.length }) }));
+            })
+            .catch(err => {
+                console.error('Failed to export sessions:', err);
+                showBackupMessage(t('history.unavailable'));
+            });
+    }
+
+    function sanitizeList(list, sanitize) {
+        return Array.isArray(list) ? list.map(sanitize).filter(item => item !== null) : [];
+    }
+
+    // Imported entries replace existing ones with the same id and are added otherwise
+    function mergeById(existing, incoming) {
+        const merged = [...existing];
+        incoming.forEach(item => {
+            const index = merged.findIndex(entry => entry.id === item.id);
+            if (index >= 0) {
+                merged[index] = item;
+            } else {
+                merged.push(item);
+            }
+        });
+        return merged;
+    }
+
+    function mergeBackup(backup) {
+        const patterns = sanitizeList(backup.customPatterns, sanitizeCustomPattern);
+        state.customPatterns = mergeById(state.customPatterns, patterns);
+        // Programs and reminders are checked after the patterns they may refer to are merged
+        const programs = sanitizeList(backup.programs, sanitizeProgram);
+        state.programs = mergeById(state.programs, programs);
+        const reminders = sanitizeList(backup.reminders, sanitizeReminder);
+        state.reminders = mergeById(state.reminders, reminders);
+        if (backup.settings && typeof backup.settings === 'object') {
+            applySettings(migrateSettings(backup.settings));
+            applyTheme();
+            applyLocale();
+        }
+        saveSettings();
+        scheduleReminders();
+
+        const records = sanitizeList(backup.history, sanitizeSessionRecord);
+        const total = ['customPatterns', 'programs', 'reminders', 'history']
+            .reduce((sum, key) => sum + (Array.isArray(backup[key]) ? backup[key].length : 0), 0);
+        const summary = {
+            patterns: patterns.length,
+            programs: programs.length,
+            reminders: reminders.length,
+            sessions: 0,
+            skipped: total - patterns.length - programs.length - reminders.length - records.length
+        };
+        if (records.length === 0) {
+            return Promise.resolve(summary);
+        }
+        return getSessionRecords()
+            .then(existing => {
+                // A session already in history has the same start time and exercise
+                const seen = new Set(existing.map(record => `${record.startedAt}:${record.exerciseType}`));
+                const added = records.filter(record => {
+                    const key = `${record.startedAt}:${record.exerciseType}`;
+                    if (seen.has(key)) {
+                        return false;
+                    }
+                    seen.add(key);
+                    return true;
+                });
+                return added.length > 0 ? addSessionRecords(added).then(() => added.length) : 0;
+            })
+            .then(sessions => ({ ...summary, sessions }))
+            .catch(err => {
+                console.error('Failed to import history:', err);
+                throw new Error(t('backup.historyUnavailable'));
+            });
+    }
+
+    function importBackup(file) {
+        file.text()
+            .then(text => {
+                let backup;
+                try {
+                    backup = JSON.parse(text);
+                } catch (e) {
+                    throw new Error(t('backup.invalid'));
+                }
+                if (!backup || backup.format !== BACKUP_FORMAT || !Number.isInteger(backup.version)) {
+                    throw new Error(t('backup.invalid'));
+                }
+                if (backup.version > BACKUP_VERSION) {
+                    throw new Error(t('backup.newerVersion'));
+                }
+                return mergeBackup(backup);
+            })
+            .then(summary => {
+                let message = t('backup.imported', {
+                    patterns: t('count.patterns', { count: summary.patterns }),
+                    programs: t('count.programs', { count: summary.programs }),
+                    reminders: t('count.reminders', { count: summary.reminders }),
+                    sessions: t('count.newSessions', { count: summary.sessions })
+                });
+                if (summary.skipped > 0) {
+                    message += ` ${t('backup.skipped', { entries: t('count.invalidEntries', { count: summary.skipped }) })}`;
+                }
+                state.backupMessage = message;
+            })
+            .catch(err => {
+                console.error('Failed to import backup:', err);
+                state.backupMessage = err.message;
+            })
+            .then(() => {
+                if (state.view === 'history') {
+                    openHistory();
+                }
+            });
+    }
+
+    // Reminders screen
+    const notificationsSupported = 'Notification' in window;
+    // Notification Triggers let the service worker show reminders while the app is closed
+    const triggersSupported = notificationsSupported
+        && 'TimestampTrigger' in window
+        && 'showTrigger' in Notification.prototype;
+    const REMINDER_TAG_PREFIX = 'reminder-';
+    const REMINDER_SCHEDULE_DAYS = 7;
+    const REMINDER_CHECK_INTERVAL = 30 * 1000;
+    // Reminders missed by more than this (e.g. while the device slept) are skipped
+    const REMINDER_GRACE = 10 * 60 * 1000;
+    const reminderDays = [1, 2, 3, 4, 5, 6, 0];
+    let reminderTimer = null;
+    let lastReminderCheck = Date.now();
+
+    function getServiceWorkerRegistration() {
+        if (!('serviceWorker' in navigator)) {
+            return Promise.resolve(null);
+        }
+        return navigator.serviceWorker.getRegistration()
+            .then(registration => registration || null)
+            .catch(() => null);
+    }
+
+    // Short weekday name in the current locale; 7 January 2024 was a Sunday
+    function getWeekdayName(day) {
+        return new Intl.DateTimeFormat(locale, { weekday: 'short' }).format(new Date(2024, 0, 7 + day));
+    }
+
+    function getReminderExerciseType(reminder) {
+        return getExercise(reminder.exerciseType) ? reminder.exerciseType : 'box';
+    }
+
+    function describeReminder(reminder) {
+        const exerciseType = getReminderExerciseType(reminder);
+        const name = getExercise(exerciseType).name;
+        if (!reminder.limit) {
+            return name;
+        }
+        return `${name} · ${t(exerciseType === 'fourSevenEight' ? 'count.rounds' : 'count.minutes', { count: reminder.limit })}`;
+    }
+
+    // Opens the app with the reminder's exercise selected through the deep-link parameters
+    function buildReminderUrl(reminder) {
+        const exerciseType = getReminderExerciseType(reminder);
+        const params = new URLSearchParams();
+        params.set('exercise', exerciseType);
+        if (reminder.limit > 0) {
+            params.set(exerciseType === 'fourSevenEight' ? 'rounds' : 'minutes', reminder.limit);
+        }
+        return `./index.html?${params.toString()}`;
+    }
+
+    function getActiveReminders() {
+        return state.reminders.filter(reminder => reminder.enabled && reminder.days.length > 0);
+    }
+
+    // Times in (from, to] at which the reminder is due
+    function getReminderOccurrences(reminder, from, to) {
+        const [hours, minutes] = reminder.time.split(':').map(Number);
+        const times = [];
+        for (let day = startOfDay(from); day <= to; day = addDays(day, 1)) {
+            const date = new Date(day);
+            date.setHours(hours, minutes, 0, 0);
+            const time = date.getTime();
+            if (time > from && time <= to && reminder.days.includes(date.getDay())) {
+                times.push(time);
+            }
+        }
+        return times;
+    }
+
+    function showReminderNotification(reminder, time, extraOptions = {}) {
+        const title = t('reminders.notificationTitle');
+        const options = {
+            body: describeReminder(reminder),
+            icon: 'icons/icon-192x192.PNG',
+            tag: `${REMINDER_TAG_PREFIX}${reminder.id}-${time}`,
+            data: { url: buildReminderUrl(reminder) },
+            ...extraOptions
+        };
+        return getServiceWorkerRegistration().then(registration => {
+            if (registration) {
+                return registration.showNotification(title, options);
+            }
+            // Without a service worker the page handles the click itself
+            const notification = new Notification(title, options);
+            notification.addEventListener('click', () => {
+                notification.close();
+                window.focus();
+                openReminderLink(options.data.url);
+            });
+            return undefined;
+        });
+    }
+
+    // A reminder clicked while the app is open selects its exercise, unless a session or
+    // another screen is in use; then the window is only brought to the front
+    function openReminderLink(url) {
+        if (state.view !== 'main' || state.isPlaying || state.isPaused || state.assessment) {
+            return;
+        }
         if (state.sessionComplete) {
-            html += `<div class="complete">Complete!</div>`;
+            resetToStart();
+        }
+        applyLaunchParams(new URL(url, window.location.href).searchParams);
+        render();
+    }
+
+    function checkReminders() {
+        const now = Date.now();
+        const from = Math.max(lastReminderCheck, now - REMINDER_GRACE);
+        lastReminderCheck = now;
+        if (state.isPlaying || state.isPaused) {
+            return;
+        }
+        getActiveReminders().forEach(reminder => {
+            getReminderOccurrences(reminder, from, now).forEach(time => {
+                showReminderNotification(reminder, time).catch(err => {
+                    console.error('Failed to show reminder:', err);
+                });
+            });
+        });
+    }
+
+    function startReminderTimer() {
+        if (reminderTimer === null && getActiveReminders().length > 0) {
+            lastReminderCheck = Date.now();
+            reminderTimer = setInterval(checkReminders, REMINDER_CHECK_INTERVAL);
+        }
+    }
+
+    function stopReminderTimer() {
+        if (reminderTimer !== null) {
+            clearInterval(reminderTimer);
+            reminderTimer = null;
+        }
+    }
+
+    // Replaces the pending triggered notifications with the next week of reminders
+    function scheduleTriggeredReminders(registration) {
+        const now = Date.now();
+        return registration.getNotifications({ includeTriggered: true })
+            .then(notifications => {
+                notifications
+                    .filter(notification => notification.tag.startsWith(REMINDER_TAG_PREFIX)
+                        && notification.showTrigger
+                        && notification.showTrigger.timestamp > now)
+                    .forEach(notification => notification.close());
+                const scheduled = [];
+                getActiveReminders().forEach(reminder => {
+                    getReminderOccurrences(reminder, now, addDays(now, REMINDER_SCHEDULE_DAYS)).forEach(time => {
+                        scheduled.push(showReminderNotification(reminder, time, { showTrigger: new TimestampTrigger(time) }));
+                    });
+                });
+                return Promise.all(scheduled);
+            });
+    }
+
+    function scheduleReminders() {
+        stopReminderTimer();
+        if (!notificationsSupported || Notification.permission !== 'granted') {
+            return;
+        }
+        getServiceWorkerRegistration()
+            .then(registration => {
+                if (registration && triggersSupported) {
+                    return scheduleTriggeredReminders(registration);
+                }
+                startReminderTimer();
+                return undefined;
+            })
+            .catch(err => {
+                console.error('Failed to schedule reminders:', err);
+                startReminderTimer();
+            });
+    }
+
+    function requestNotificationPermission() {
+        if (!notificationsSupported || Notification.permission !== 'default') {
+            return Promise.resolve();
+        }
+        return Promise.resolve(Notification.requestPermission())
+            .catch(() => undefined)
+            .then(() => {
+                scheduleReminders();
+                if (state.view === 'reminders') {
+                    render();
+                }
+            });
+    }
+
+    function getReminderStatus() {
+        if (!notificationsSupported) {
+            return t('reminders.status.unsupported');
+        }
+        if (Notification.permission === 'denied') {
+            return t('reminders.status.denied');
+        }
+        if (Notification.permission === 'default') {
+            return t('reminders.status.needsPermission');
+        }
+        if (!triggersSupported) {
+            return t('reminders.status.whileOpen');
+        }
+        return t('reminders.status.always');
+    }
+
+    function openReminders() {
+        state.view = 'reminders';
+        render();
+    }
+
+    function closeReminders() {
+        returnFocusSelector = '#open-reminders';
+        state.view = 'main';
+        render();
+    }
+
+    function saveReminders() {
+        saveSettings();
+        scheduleReminders();
+    }
+
+    function addReminder() {
+        state.reminders.push({
+            id: createPatternId(),
+            time: '10:00',
+            days: [1, 2, 3, 4, 5],
+            exerciseType: state.exerciseType,
+            limit: state.exerciseType === 'fourSevenEight' ? 4 : 5,
+            enabled: true
+        });
+        returnFocusSelector = `[data-index="${state.reminders.length - 1}"] .reminder-time`;
+        saveReminders();
+        render();
+        requestNotificationPermission();
+    }
+
+    function removeReminder(index) {
+        state.reminders.splice(index, 1);
+        returnFocusSelector = '#new-reminder';
+        saveReminders();
+        render();
+    }
+
+    function renderReminders() {
+        const entries = getExerciseEntries();
+        let html = `
+            <h1>${t('reminders.title')}</h1>
+            <p class="exercise-description">${escapeHtml(getReminderStatus())}</p>
+        `;
+        if (notificationsSupported && Notification.permission === 'default' && state.reminders.length > 0) {
+            html += `<button id="reminder-permission" class="preset-button pattern-edit-button">${icons.bell} ${t('reminders.allow')}</button>`;
+        }
+
+        if (state.reminders.length === 0) {
+            html += `<p class="exercise-description">${t('reminders.empty')}</p>`;
+        } else {
+            html += `<div class="program-list">`;
+            state.reminders.forEach((reminder, index) => {
+                const exerciseType = getReminderExerciseType(reminder);
+                const label = key => escapeHtml(t(key, { number: index + 1 }));
+                const countsRounds = exerciseType === 'fourSevenEight';
+                html += `
+                    <div class="program-card reminder-card" data-index="${index}">
+                        <div class="pattern-phase-row">
+                            <input type="time" class="reminder-time" value="${reminder.time}" aria-label="${label('reminders.time')}" required>
+                            <select class="reminder-exercise" aria-label="${label('reminders.exercise')}">
+                                ${entries.map(([key, ex]) => `<option value="${key}" ${key === exerciseType ? 'selected' : ''}>${escapeHtml(ex.name)}</option>`).join('')}
+                            </select>
+                            <input type="number" class="reminder-limit" inputmode="numeric" min="0" max="${sessionLimitRange.max}" step="1" value="${reminder.limit || ''}" placeholder="&ndash;" aria-label="${label(countsRounds ? 'reminders.rounds' : 'reminders.minutes')}">
+                            <span>${t(countsRounds ? 'unit.rounds' : 'unit.min')}</span>
+                        </div>
+                        <div class="reminder-days" role="group" aria-label="${label('reminders.days')}">
+                            ${reminderDays.map(day => `<button class="exercise-button reminder-day ${reminder.days.includes(day) ? 'active' : ''}" data-day="${day}" aria-pressed="${reminder.days.includes(day)}">${escapeHtml(getWeekdayName(day))}</button>`).join('')}
+                        </div>
+                        <div class="pattern-phase-row">
+                            <label class="switch">
+                                <input type="checkbox" class="reminder-enabled" id="reminder-enabled-${index}" ${reminder.enabled ? 'checked' : ''}>
+                                <span class="slider"></span>
+                            </label>
+                            <label for="reminder-enabled-${index}">${t(reminder.enabled ? 'settings.on' : 'settings.off')}</label>
+                            <button class="pattern-phase-remove" aria-label="${label('reminders.remove')}">${icons.trash}</button>
+                        </div>
+                    </div>
+                `;
+            });
+            html += `</div>`;
+        }
+
+        html += `
+            <div class="session-controls">
+                <button id="new-reminder" class="preset-button">${icons.plus} ${t('reminders.new')}</button>
+                <button id="reminders-back">${icons.rotateCcw} ${t('nav.back')}</button>
+            </div>
+        `;
+
+        setAppContent(html);
+
+        const permissionButton = document.getElementById('reminder-permission');
+        if (permissionButton) {
+            permissionButton.addEventListener('click', requestNotificationPermission);
+        }
+        document.querySelectorAll('.reminder-card').forEach(card => {
+            const index = Number(card.dataset.index);
+            const reminder = state.reminders[index];
+            card.querySelector('.reminder-time').addEventListener('change', (e) => {
+                if (/^([01]\d|2[0-3]):[0-5]\d$/.test(e.target.value)) {
+                    reminder.time = e.target.value;
+                    saveReminders();
+                } else {
+                    e.target.value = reminder.time;
+                }
+            });
+            card.querySelector('.reminder-exercise').addEventListener('change', (e) => {
+                reminder.exerciseType = e.target.value;
+                saveReminders();
+                render();
+            });
+            card.querySelector('.reminder-limit').addEventListener('change', (e) => {
+                const value = Number.parseInt(e.target.value, 10);
+                reminder.limit = Number.isFinite(value) && value > 0 ? clampToRange(value, sessionLimitRange) : 0;
+                e.target.value = reminder.limit || '';
+                saveReminders();
+            });
+            card.querySelectorAll('.reminder-day').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const day = Number(btn.dataset.day);
+                    reminder.days = reminder.days.includes(day)
+                        ? reminder.days.filter(d => d !== day)
+                        : [...reminder.days, day].sort((a, b) => a - b);
+                    saveReminders();
+                    render();
+                });
+            });
+            card.querySelector('.reminder-enabled').addEventListener('change', () => {
+                reminder.enabled = !reminder.enabled;
+                saveReminders();
+                render();
+            });
+            card.querySelector('.pattern-phase-remove').addEventListener('click', () => removeReminder(index));
+        });
+        document.getElementById('new-reminder').addEventListener('click', addReminder);
+        document.getElementById('reminders-back').addEventListener('click', closeReminders);
+    }
+
+    // Main view: persistent components that are only rebuilt when their markup changes.
+    // Text that changes every second and the progress indicators are written into the existing nodes.
+    const componentMarkup = new Map();
+    let mainViewMounted = false;
+
+    function renderHeader({ exercise }) {
+        if (state.assessment) {
+            return `<h1>${t('assessment.title')}</h1>`;
         }
+        return `<h1>${escapeHtml(state.program ? state.program.name : exercise.name)}</h1>`;
+    }
 
-        if (!state.sessionComplete) {
+    function renderProgramStatus({ exercise, sessionActive }) {
+        if (state.assessment && sessionActive) {
+            const { steps, stepIndex } = state.assessment;
+            return `
+            <div class="program-status">
+                ${t('assessment.stepOf', { number: stepIndex + 1, total: steps.length, rate: getBreathsPerMinute(steps[stepIndex].pace) })}
+            </div>
+        `;
+        }
+        if (!state.program || !sessionActive) {
+            return '';
+        }
+        const { stageIndex, stages } = state.program;
+        return `
+            <div class="program-status">
+                ${t('program.stageOf', { number: stageIndex + 1, total: stages.length })} &middot; ${escapeHtml(exercise.name)}
+                <div class="progress-bar"><span></span></div>
+            </div>
+        `;
+    }
+
+    function renderTimer({ sessionActive }) {
+        if (!sessionActive) {
+            return '';
+        }
+        // Rounds for 4-7-8, time for others, with a ring when there is a limit
+        let html = `<div class="timer">`;
+        if (getSessionProgress() !== null) {
             html += `
-                <button id="toggle-play">
-                    ${state.isPlaying ? icons.pause : icons.play}
-                    ${state.isPlaying ? 'Pause' : 'Start'}
-                </button>
+                <div class="session-ring" role="progressbar" aria-label="${t('session.progress')}" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                    <svg viewBox="0 0 36 36" aria-hidden="true">
+                        <circle class="session-ring-track" cx="18" cy="18" r="15"></circle>
+                        <circle class="session-ring-fill" cx="18" cy="18" r="15" pathLength="100" stroke-dasharray="100" stroke-dashoffset="100"></circle>
+                    </svg>
+                </div>
+            `;
+        }
+        if (state.exerciseType === 'fourSevenEight' && state.targetRounds > 0) {
+            html += `<div data-text="timer"></div>`;
+        } else {
+            html += `
+                <div>
+                    <span data-text="timer"></span>
+                    ${getTimeLimitSeconds() > 0 ? '<div class="time-remaining" data-text="remaining"></div>' : ''}
+                </div>
             `;
         }
+        return `${html}</div>`;
+    }
+
+    function renderPaceDisplay({ sessionActive }) {
+        return sessionActive && state.activeRamp ? `<div class="pace-display" data-text="pace"></div>` : '';
+    }
+
+    function renderHeartRate({ sessionActive }) {
+        return sessionActive && state.heartRateStatus === 'connected' ? `<div class="heart-rate" data-text="heartRate"></div>` : '';
+    }
+
+    function renderInstruction({ sessionActive }) {
+        return sessionActive ? `<div class="instruction" data-text="instruction"></div>` : '';
+    }
 
-        if (!state.isPlaying && !state.sessionComplete && exercise.hasPhaseTimeSlider) {
-            const range = exercise.phaseTimeRange;
-            const currentValue = state.exerciseType === 'longExhale' ? state.exhaleDuration : state.phaseTime;
+    function renderCountdown({ sessionActive }) {
+        return sessionActive && state.countdownEnabled ? `<div class="countdown" data-text="countdown"></div>` : '';
+    }
+
+    // The active phase is marked by syncPhaseTracker() so phase changes don't rebuild the list
+    function renderPhaseTracker({ phases, sessionActive }) {
+        if (!sessionActive) {
+            return '';
+        }
+        let html = `<div class="phase-tracker" role="list" aria-label="${t('session.phases')}">`;
+        phases.forEach(phase => {
+            const phaseColor = phase.color;
+            const softPhaseColor = hexToRgba(phaseColor, 0.25);
             html += `
-                <div class="slider-container">
-                    <label for="phase-time-slider">${exercise.phaseTimeLabel} (seconds): <span id="phase-time-value">${currentValue}</span></label>
-                    <input type="range" min="${range.min}" max="${range.max}" step="${range.step}" value="${currentValue}" id="phase-time-slider">
+                <div class="phase-item" style="--phase-color: ${phaseColor}; --phase-soft: ${softPhaseColor};">
+                    <span class="phase-dot"></span>
+                    <span class="phase-label">${escapeHtml(phase.name)}</span>
+                    <span class="phase-fill" aria-hidden="true"><span></span></span>
                 </div>
             `;
+        });
+        return `${html}</div>`;
+    }
+
+    function renderSessionStatus({ sessionActive }) {
+        let html = '';
+        if (state.isPaused) {
+            html += `<div class="prompt">${t('session.paused')}</div>`;
+        }
+        if (state.timeLimitReached && !state.sessionComplete) {
+            const limitMessage = t(sessionActive ? 'session.finishing' : 'session.limitReached');
+            html += `<div class="limit-warning">${limitMessage}</div>`;
         }
+        if (sessionActive && state.breathStatus === 'unavailable') {
+            html += `<div class="limit-warning">${t('biofeedback.unavailable')}</div>`;
+        }
+        if (sessionActive && state.heartRateStatus === 'lost') {
+            html += `<div class="limit-warning">${t('heartRate.lost')}</div>`;
+        }
+        return html;
+    }
 
-        if (state.sessionComplete) {
+    function renderExerciseSelector({ exercise, onStartScreen }) {
+        if (!onStartScreen) {
+            return '';
+        }
+        let html = `<div class="exercise-selector">`;
+        getExerciseEntries().forEach(([key, ex]) => {
+            html += `
+                <button class="exercise-button ${state.exerciseType === key ? 'active' : ''}" data-exercise="${key}" aria-pressed="${state.exerciseType === key}">
+                    ${escapeHtml(ex.name)}
+                </button>
+            `;
+        });
+        html += `
+                <button class="exercise-button" id="new-pattern">
+                    ${icons.plus} ${t('pattern.custom')}
+                </button>
+            </div>
+        `;
+
+        html += `<p class="exercise-description">${escapeHtml(exercise.description)}</p>`;
+        if (exercise.isCustom) {
+            html += `
+                <button id="edit-pattern" class="preset-button pattern-edit-button">
+                    ${icons.edit} ${t('pattern.edit')}
+                </button>
+            `;
+        }
+        if (state.exerciseType === 'coherent') {
             html += `
-                <button id="reset">
-                    ${icons.rotateCcw}
-                    Back to Start
+                <button id="start-assessment" class="preset-button pattern-edit-button">
+                    ${icons.heart} ${t('assessment.start')}
                 </button>
             `;
         }
+        return html;
+    }
 
-        if (!state.isPlaying && !state.sessionComplete) {
-            if (state.exerciseType === 'fourSevenEight') {
-                // Rounds-based presets for 4-7-8
-                html += `
-                    <div class="shortcut-buttons">
-                        <button id="preset-4rounds" class="preset-button">
-                            ${icons.clock} 4 rounds
-                        </button>
-                        <button id="preset-6rounds" class="preset-button">
-                            ${icons.clock} 6 rounds
-                        </button>
-                        <button id="preset-8rounds" class="preset-button">
-                            ${icons.clock} 8 rounds
-                        </button>
+    function toggleLabel(key, enabled) {
+        return t(key, { state: t(enabled ? 'settings.on' : 'settings.off') });
+    }
+
+    function renderHeartRateSettings() {
+        let label = t('settings.heartRateConnect');
+        if (state.heartRateStatus === 'connecting') {
+            label = t('settings.heartRateConnecting');
+        } else if (state.heartRateStatus === 'connected') {
+            label = t('settings.heartRateDisconnect', { name: escapeHtml(state.heartRateDevice) || t('heartRate.monitor') });
+        }
+        let html = `
+                <div class="form-group">
+                    <button id="heart-rate-monitor" class="exercise-button" ${state.heartRateStatus === 'connecting' ? 'disabled' : ''}>
+                        ${icons.heart} ${label}
+                    </button>
+                    ${state.heartRateStatus === 'connected' ? '<span data-text="heartRate"></span>' : ''}
+                </div>`;
+        if (state.heartRateStatus === 'unavailable' || state.heartRateStatus === 'lost') {
+            html += `<p class="exercise-description">${t(`heartRate.${state.heartRateStatus}`)}</p>`;
+        }
+        return html;
+    }
+
+    function renderSettingsPanel({ onStartScreen }) {
+        if (!onStartScreen) {
+            return '';
+        }
+        let html = `
+            <div class="settings">
+                <div class="form-group">
+                    <label class="switch">
+                        <input type="checkbox" id="sound-toggle" ${state.soundEnabled ? 'checked' : ''}>
+                        <span class="slider"></span>
+                    </label>
+                    <label for="sound-toggle">
+                        ${state.soundEnabled ? icons.volume2 : icons.volumeX}
+                        ${toggleLabel('settings.sound', state.soundEnabled)}
+                    </label>
+                </div>
+        `;
+        if (state.soundEnabled) {
+            html += `
+                <div class="sound-options">
+                    <div class="form-group">
+                        <label for="tone-style">${t('settings.tones')}</label>
+                        <select id="tone-style">
+                            ${Object.entries(toneStyles).map(([key, label]) => `<option value="${key}" ${state.toneStyle === key ? 'selected' : ''}>${t(label)}</option>`).join('')}
+                        </select>
                     </div>
-                `;
-            } else {
-                // Minutes-based presets for other exercises
-                html += `
-                    <div class="shortcut-buttons">
-                        <button id="preset-2min" class="preset-button">
-                            ${icons.clock} 2 min
-                        </button>
-                        <button id="preset-5min" class="preset-button">
-                            ${icons.clock} 5 min
-                        </button>
-                        <button id="preset-10min" class="preset-button">
-                            ${icons.clock} 10 min
-                        </button>
+                    ${speechSupported ? `
+                    <div class="form-group">
+                        <label class="switch">
+                            <input type="checkbox" id="voice-toggle" ${state.voiceEnabled ? 'checked' : ''}>
+                            <span class="slider"></span>
+                        </label>
+                        <label for="voice-toggle">${toggleLabel('settings.voice', state.voiceEnabled)}</label>
+                    </div>` : ''}
+                    <div class="form-group">
+                        <label for="ambient-type">${t('settings.ambient')}</label>
+                        <select id="ambient-type">
+                            ${Object.entries(ambientTypes).map(([key, label]) => `<option value="${key}" ${state.ambientType === key ? 'selected' : ''}>${t(label)}</option>`).join('')}
+                        </select>
                     </div>
-                `;
+                    ${state.ambientType !== 'off' ? `
+                    <div class="form-group">
+                        <label for="ambient-volume">${t('settings.volume')}</label>
+                        <input type="range" id="ambient-volume" min="0" max="100" step="5" value="${state.ambientVolume}">
+                    </div>` : ''}
+                </div>
+            `;
+        }
+        html += `
+                <div class="form-group">
+                    <label class="switch">
+                        <input type="checkbox" id="countdown-toggle" ${state.countdownEnabled ? 'checked' : ''}>
+                        <span class="slider"></span>
+                    </label>
+                    <label for="countdown-toggle">
+                        ${icons.hash}
+                        ${toggleLabel('settings.countdown', state.countdownEnabled)}
+                    </label>
+                </div>
+                ${hapticsSupported ? `
+                <div class="form-group">
+                    <label class="switch">
+                        <input type="checkbox" id="haptics-toggle" ${state.hapticsEnabled ? 'checked' : ''}>
+                        <span class="slider"></span>
+                    </label>
+                    <label for="haptics-toggle">
+                        ${icons.smartphone}
+                        ${toggleLabel('settings.vibration', state.hapticsEnabled)}
+                    </label>
+                </div>` : ''}
+                ${micSupported ? `
+                <div class="form-group">
+                    <label class="switch">
+                        <input type="checkbox" id="biofeedback-toggle" ${state.biofeedbackEnabled ? 'checked' : ''}>
+                        <span class="slider"></span>
+                    </label>
+                    <label for="biofeedback-toggle">
+                        ${icons.mic}
+                        ${toggleLabel('settings.breathDetection', state.biofeedbackEnabled)}
+                    </label>
+                </div>
+                ${state.breathStatus === 'unavailable' ? `<p class="exercise-description">${t('biofeedback.unavailable')}</p>` : ''}` : ''}
+                ${bluetoothSupported ? renderHeartRateSettings() : ''}
+                <div class="form-group">
+                    <label for="visual-guide">${t('settings.visualGuide')}</label>
+                    <select id="visual-guide">
+                        ${Object.entries(visualGuides).map(([key, label]) => `<option value="${key}" ${state.visualGuide === key ? 'selected' : ''}>${t(label)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="theme">${t('settings.theme')}</label>
+                    <select id="theme">
+                        ${Object.entries(themeOptions).map(([key, label]) => `<option value="${key}" ${state.theme === key ? 'selected' : ''}>${t(label)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="phase-palette">${t('settings.phaseColors')}</label>
+                    <select id="phase-palette">
+                        ${Object.entries(phasePalettes).map(([key, palette]) => `<option value="${key}" ${state.phasePalette === key ? 'selected' : ''}>${t(palette.name)}</option>`).join('')}
+                        <option value="${CUSTOM_PALETTE}" ${state.phasePalette === CUSTOM_PALETTE ? 'selected' : ''}>${t('palette.custom')}</option>
+                    </select>
+                </div>
+                ${state.phasePalette === CUSTOM_PALETTE ? `
+                <div class="form-group palette-colors">
+                    ${phaseKinds.map(kind => `
+                    <label for="palette-${kind}">${t(`phase.${kind}`)}</label>
+                    <input type="color" id="palette-${kind}" value="${state.customPalette[kind]}">`).join('')}
+                </div>` : ''}
+                <div class="form-group">
+                    <label for="language">${t('settings.language')}</label>
+                    <select id="language">
+                        <option value="auto" ${state.language === 'auto' ? 'selected' : ''}>${t('language.auto')}</option>
+                        ${Object.entries(i18n.catalogs).map(([key, catalog]) => `<option value="${key}" lang="${key}" ${state.language === key ? 'selected' : ''}>${catalog.name}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <input
+                        type="number"
+                        inputmode="numeric"
+                        placeholder="${t(state.exerciseType === 'fourSevenEight' ? 'settings.roundsPlaceholder' : 'settings.minutesPlaceholder')}"
+                        value="${state.timeLimit}"
+                        id="time-limit"
+                        step="1"
+                        min="0"
+                    >
+                    <label for="time-limit">${t(state.exerciseType === 'fourSevenEight' ? 'settings.roundsLabel' : 'settings.minutesLabel')}</label>
+                </div>
+            </div>
+            <div class="prompt">${t('session.prompt')}</div>
+            <p class="shortcut-hint">${t('session.shortcuts', { last: Math.min(getExerciseEntries().length, 9) })}</p>
+        `;
+        return html;
+    }
+
+    function renderHrvResult() {
+        const result = state.hrvResult;
+        if (!result) {
+            return '';
+        }
+        if (result.rmssd === null) {
+            return `<p class="hrv-result">${t('heartRate.noResult')}</p>`;
+        }
+        let html = `<p class="hrv-result">${t('heartRate.summary', { bpm: Math.round(result.meanHeartRate), rmssd: Math.round(result.rmssd) })}</p>`;
+        if (result.peakToTrough !== null && result.coherence !== null) {
+            html += `<p class="hrv-result">${t('heartRate.resonance', {
+                swing: result.peakToTrough.toFixed(1),
+                coherence: Math.round(result.coherence * 100),
+                rate: (result.peakFrequency * 60).toFixed(1)
+            })}</p>`;
+        }
+        return html;
+    }
+
+    function renderSessionControls({ sessionActive }) {
+        let html = '';
+        if (state.sessionComplete) {
+            html += `<div class="complete">${t('session.complete')}</div>`;
+            if (state.adherence !== null) {
+                html += `<p class="adherence">${t('biofeedback.adherence', { percent: state.adherence })}</p>`;
+            } else if (state.breathStatus === 'listening') {
+                html += `<p class="adherence">${t('biofeedback.noResult')}</p>`;
             }
+            html += renderHrvResult();
+        } else {
+            let playLabel = t('controls.start');
+            if (state.isPlaying) {
+                playLabel = t('controls.pause');
+            } else if (state.isPaused) {
+                playLabel = t('controls.resume');
+            }
+            html += `
+                <div class="session-controls">
+                    <button id="toggle-play">
+                        ${state.isPlaying ? icons.pause : icons.play}
+                        ${playLabel}
+                    </button>
+                    ${sessionActive ? `
+                    <button id="stop-session">
+                        ${icons.square}
+                        ${t('controls.stop')}
+                    </button>` : ''}
+                </div>
+            `;
         }
+        return html;
+    }
 
-        app.innerHTML = html;
+    function renderRampSettings({ exercise, onStartScreen }) {
+        if (!onStartScreen || !exercise.supportsRamp) {
+            return '';
+        }
+        const range = exercise.phaseTimeRange;
+        let html = `
+            <div class="settings ramp-settings">
+                <div class="form-group">
+                    <label class="switch">
+                        <input type="checkbox" id="ramp-toggle" ${state.rampEnabled ? 'checked' : ''}>
+                        <span class="slider"></span>
+                    </label>
+                    <label for="ramp-toggle">
+                        ${icons.trendingUp}
+                        ${toggleLabel('ramp.toggle', state.rampEnabled)}
+                    </label>
+                </div>
+        `;
+        if (state.rampEnabled) {
+            html += `
+                <div class="form-group">
+                    <label for="ramp-start">${t('ramp.from', { label: exercise.phaseTimeLabel })}</label>
+                    <input type="number" inputmode="decimal" id="ramp-start" min="${range.min}" max="${range.max}" step="${range.step}" value="${state.rampStart}">
+                    <label for="ramp-target">${t('ramp.to')}</label>
+                    <input type="number" inputmode="decimal" id="ramp-target" min="${range.min}" max="${range.max}" step="${range.step}" value="${state.rampTarget}">
+                    <span>${t('unit.s')}</span>
+                </div>
+                <div class="form-group">
+                    <label for="ramp-minutes">${t('ramp.over')}</label>
+                    <input type="number" inputmode="numeric" id="ramp-minutes" min="${rampMinutesRange.min}" max="${rampMinutesRange.max}" step="${rampMinutesRange.step}" value="${state.rampMinutes}">
+                    <span>${t('unit.minutes')}</span>
+                </div>
+            `;
+        }
+        return `${html}</div>`;
+    }
 
-        updateCanvasVisibility();
+    function getCycleSummary() {
+        const cycleTime = getTotalCycleTime();
+        return t('pace.summary', { rate: (60 / cycleTime).toFixed(1), seconds: formatSeconds(Math.round(cycleTime * 10) / 10) });
+    }
+
+    // A slider per phase of a built-in exercise; progressive pacing sets the durations while it is on
+    function renderPhaseControls({ exercise, onStartScreen }) {
+        if (!onStartScreen || (exercise.supportsRamp && state.rampEnabled)) {
+            return '';
+        }
+        const summary = `<p class="exercise-description" id="cycle-summary">${getCycleSummary()}</p>`;
+        if (exercise.isCustom) {
+            return summary;
+        }
+        let html = `<div class="slider-container phase-controls">`;
+        exercise.phaseRanges.forEach((range, index) => {
+            const value = state.phaseDurations[index];
+            html += `
+                <label for="phase-duration-${index}">${t('pace.sliderLabel', { label: t(`phase.${range.kind}`), value: `<span id="phase-duration-value-${index}">${formatSeconds(value)}</span>` })}</label>
+                <input type="range" min="${range.min}" max="${range.max}" step="${range.step}" value="${value}" id="phase-duration-${index}">
+            `;
+        });
+        html += `
+                <div class="form-group">
+                    <label class="switch">
+                        <input type="checkbox" id="keep-ratio-toggle" ${state.keepPhaseRatio ? 'checked' : ''}>
+                        <span class="slider"></span>
+                    </label>
+                    <label for="keep-ratio-toggle">${toggleLabel('pace.keepRatio', state.keepPhaseRatio)}</label>
+                </div>
+            </div>
+        `;
+        return html + summary;
+    }
 
+    // With the ratio kept, moving one phase scales the others, as far as every range allows
+    function updatePhaseDuration(index, input) {
+        const range = exerciseTypes[state.exerciseType].phaseRanges[index];
+        const value = clampToRange(parseFloat(input.value), range);
+        if (state.keepPhaseRatio) {
+            state.phaseDurations = scalePhaseDurations(state.exerciseType, state.phaseDurations, value / state.phaseDurations[index]);
+        } else {
+            state.phaseDurations = state.phaseDurations.map((duration, i) => (i === index ? value : duration));
+        }
+        // Update in place so the slider being dragged isn't rebuilt. It is still set, since
+        // keeping the ratio can stop it short of where it was dragged.
+        state.phaseDurations.forEach((duration, i) => {
+            document.getElementById(`phase-duration-value-${i}`).textContent = formatSeconds(duration);
+            document.getElementById(`phase-duration-${i}`).value = duration;
+        });
+        document.getElementById('cycle-summary').textContent = getCycleSummary();
+        saveSettings();
+    }
+
+    function renderResetButton() {
         if (!state.sessionComplete) {
-            document.getElementById('toggle-play').addEventListener('click', togglePlay);
+            return '';
         }
-        if (state.sessionComplete) {
-            document.getElementById('reset').addEventListener('click', resetToStart);
+        return `
+            <button id="reset">
+                ${icons.rotateCcw}
+                ${t('nav.backToStart')}
+            </button>
+        `;
+    }
+
+    // Preset buttons - rounds for 4-7-8, minutes for others
+    const presetActions = {
+        'preset-4rounds': () => startWithRounds(4),
+        'preset-6rounds': () => startWithRounds(6),
+        'preset-8rounds': () => startWithRounds(8),
+        'preset-2min': () => startWithPreset(2),
+        'preset-5min': () => startWithPreset(5),
+        'preset-10min': () => startWithPreset(10)
+    };
+
+    function renderPresets({ onStartScreen }) {
+        if (!onStartScreen) {
+            return '';
+        }
+        if (state.exerciseType === 'fourSevenEight') {
+            return `
+                <div class="shortcut-buttons">
+                    <button id="preset-4rounds" class="preset-button">
+                        ${icons.clock} ${t('count.rounds', { count: 4 })}
+                    </button>
+                    <button id="preset-6rounds" class="preset-button">
+                        ${icons.clock} ${t('count.rounds', { count: 6 })}
+                    </button>
+                    <button id="preset-8rounds" class="preset-button">
+                        ${icons.clock} ${t('count.rounds', { count: 8 })}
+                    </button>
+                </div>
+            `;
         }
-        if (!state.isPlaying && !state.sessionComplete) {
-            document.getElementById('sound-toggle').addEventListener('change', toggleSound);
-            document.getElementById('countdown-toggle').addEventListener('change', toggleCountdown);
-            const timeLimitInput = document.getElementById('time-limit');
-            timeLimitInput.addEventListener('input', handleTimeLimitChange);
+        return `
+            <div class="shortcut-buttons">
+                <button id="preset-2min" class="preset-button">
+                    ${icons.clock} ${t('count.minutes', { count: 2 })}
+                </button>
+                <button id="preset-5min" class="preset-button">
+                    ${icons.clock} ${t('count.minutes', { count: 5 })}
+                </button>
+                <button id="preset-10min" class="preset-button">
+                    ${icons.clock} ${t('count.minutes', { count: 10 })}
+                </button>
+            </div>
+        `;
+    }
 
-            // Exercise type buttons
-            document.querySelectorAll('.exercise-button').forEach(btn => {
-                btn.addEventListener('click', () => {
-                    setExerciseType(btn.dataset.exercise);
-                });
-            });
+    function renderViewLinks({ onStartScreen }) {
+        if (!onStartScreen) {
+            return '';
+        }
+        return `
+            <div class="view-links">
+                <button id="open-programs" class="exercise-button">
+                    ${icons.layers} ${t('programs.title')}
+                </button>
+                <button id="open-history" class="exercise-button">
+                    ${icons.barChart} ${t('history.title')}
+                </button>
+                <button id="open-reminders" class="exercise-button">
+                    ${icons.bell} ${t('reminders.title')}
+                </button>
+                <button id="copy-link" class="exercise-button">${icons.link} ${t('share.copy')}</button>
+            </div>
+        `;
+    }
 
-            // Phase time slider
-            const phaseTimeSlider = document.getElementById('phase-time-slider');
-            if (phaseTimeSlider) {
-                phaseTimeSlider.addEventListener('input', function () {
-                    const value = parseFloat(this.value);
-                    if (state.exerciseType === 'longExhale') {
-                        state.exhaleDuration = value;
-                    } else {
-                        state.phaseTime = value;
-                    }
-                    document.getElementById('phase-time-value').textContent = value;
-                    saveSettings();
-                });
-            }
+    const mainViewComponents = [
+        ['header', renderHeader],
+        ['programStatus', renderProgramStatus],
+        ['timer', renderTimer],
+        ['paceDisplay', renderPaceDisplay],
+        ['heartRate', renderHeartRate],
+        ['instruction', renderInstruction],
+        ['countdown', renderCountdown],
+        ['phaseTracker', renderPhaseTracker],
+        ['sessionStatus', renderSessionStatus],
+        ['exerciseSelector', renderExerciseSelector],
+        ['settingsPanel', renderSettingsPanel],
+        ['sessionControls', renderSessionControls],
+        ['rampSettings', renderRampSettings],
+        ['phaseControls', renderPhaseControls],
+        ['resetButton', renderResetButton],
+        ['presets', renderPresets],
+        ['viewLinks', renderViewLinks]
+    ];
+
+    function getMainViewText() {
+        const limitSeconds = getTimeLimitSeconds();
+        const countdown = state.countdown % 1 !== 0 ? state.countdown.toFixed(1) : state.countdown;
+        return {
+            timer: state.exerciseType === 'fourSevenEight' && state.targetRounds > 0
+                ? t('session.roundOf', { number: state.completedRounds + 1, total: state.targetRounds })
+                : t('session.totalTime', { time: formatTime(state.totalTime) }),
+            remaining: t('session.remaining', { time: formatTime(Math.max(0, limitSeconds - state.totalTime)) }),
+            pace: state.activeRamp ? t('session.breathsPerMinute', { rate: (60 / getTotalCycleTime()).toFixed(1) }) : '',
+            heartRate: state.heartRateBpm !== null ? t('heartRate.live', { bpm: state.heartRateBpm }) : t('heartRate.waiting'),
+            instruction: getInstruction(state.count),
+            countdown: String(countdown)
+        };
+    }
 
-            // Preset buttons - rounds for 4-7-8, minutes for others
-            if (state.exerciseType === 'fourSevenEight') {
-                document.getElementById('preset-4rounds').addEventListener('click', () => startWithRounds(4));
-                document.getElementById('preset-6rounds').addEventListener('click', () => startWithRounds(6));
-                document.getElementById('preset-8rounds').addEventListener('click', () => startWithRounds(8));
+    function syncPhaseTracker() {
+        app.querySelectorAll('.phase-item').forEach((item, index) => {
+            const active = index === state.count;
+            item.classList.toggle('active', active);
+            if (active) {
+                item.setAttribute('aria-current', 'step');
             } else {
-                document.getElementById('preset-2min').addEventListener('click', () => startWithPreset(2));
-                document.getElementById('preset-5min').addEventListener('click', () => startWithPreset(5));
-                document.getElementById('preset-10min').addEventListener('click', () => startWithPreset(10));
+                item.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    function renderMainView() {
+        const focusedInApp = app.contains(document.activeElement) && document.activeElement !== app;
+        const focusSelector = returnFocusSelector || getFocusSelector(document.activeElement);
+        returnFocusSelector = null;
+
+        if (!mainViewMounted) {
+            app.innerHTML = mainViewComponents
+                .map(([name]) => `<div class="view-component" data-component="${name}"></div>`)
+                .join('');
+            componentMarkup.clear();
+            mainViewMounted = true;
+        }
+
+        const exercise = getExercise(state.exerciseType);
+        const sessionActive = state.isPlaying || state.isPaused;
+        const view = {
+            exercise,
+            phases: getCurrentPhases(),
+            sessionActive,
+            onStartScreen: !sessionActive && !state.sessionComplete
+        };
+        mainViewComponents.forEach(([name, renderComponent]) => {
+            const html = renderComponent(view);
+            if (componentMarkup.get(name) !== html) {
+                componentMarkup.set(name, html);
+                app.querySelector(`[data-component="${name}"]`).innerHTML = html;
+            }
+        });
+
+        const text = getMainViewText();
+        app.querySelectorAll('[data-text]').forEach(element => {
+            const value = text[element.dataset.text];
+            if (element.textContent !== value) {
+                element.textContent = value;
+            }
+        });
+        syncPhaseTracker();
+        updateProgressIndicators();
+        updateCanvasVisibility();
+
+        // Put focus back if the focused control was inside a rebuilt component
+        if (focusedInApp && !app.contains(document.activeElement)) {
+            const target = (focusSelector && app.querySelector(focusSelector))
+                || document.getElementById('toggle-play')
+                || app.querySelector('button, input, select');
+            if (target) {
+                target.focus({ preventScroll: true });
             }
         }
+    }
+
+    // Main view controls are handled by delegation so components can be rebuilt without rebinding
+    const mainClickActions = {
+        'toggle-play': togglePlay,
+        'stop-session': stopSession,
+        reset: resetToStart,
+        'new-pattern': () => openPatternEditor(),
+        'edit-pattern': () => openPatternEditor(getExercise(state.exerciseType).patternId),
+        'open-programs': openPrograms,
+        'open-history': openHistory,
+        'open-reminders': openReminders,
+        'copy-link': copyShareLink,
+        'start-assessment': startAssessment,
+        'heart-rate-monitor': toggleHeartRateMonitor,
+        ...presetActions
+    };
+
+    function updateRampSetting(input, key, range) {
+        const value = parseFloat(input.value);
+        state[key] = clampToRange(Number.isFinite(value) ? value : state[key], range);
+        input.value = state[key];
+        saveSettings();
+    }
+
+    const mainChangeActions = {
+        'sound-toggle': toggleSound,
+        'tone-style': (select) => {
+            state.toneStyle = select.value;
+            // Tones already scheduled ahead used the old style
+            cancelScheduledCues();
+            saveSettings();
+        },
+        'voice-toggle': () => {
+            state.voiceEnabled = !state.voiceEnabled;
+            saveSettings();
+            render();
+        },
+        'ambient-type': (select) => {
+            state.ambientType = select.value;
+            saveSettings();
+            render();
+        },
+        'countdown-toggle': toggleCountdown,
+        'haptics-toggle': toggleHaptics,
+        'biofeedback-toggle': toggleBiofeedback,
+        'visual-guide': (select) => {
+            state.visualGuide = select.value;
+            saveSettings();
+        },
+        theme: (select) => {
+            state.theme = select.value;
+            applyTheme();
+            saveSettings();
+        },
+        'phase-palette': (select) => {
+            state.phasePalette = select.value;
+            invalidateGradient();
+            saveSettings();
+            render();
+        },
+        ...Object.fromEntries(phaseKinds.map(kind => [`palette-${kind}`, (input) => {
+            state.customPalette[kind] = input.value;
+            invalidateGradient();
+            saveSettings();
+            render();
+        }])),
+        language: (select) => {
+            state.language = select.value;
+            applyLocale();
+            saveSettings();
+            // Triggered notifications were scheduled with text in the old language
+            scheduleReminders();
+            render();
+        },
+        'keep-ratio-toggle': () => {
+            state.keepPhaseRatio = !state.keepPhaseRatio;
+            saveSettings();
+            render();
+        },
+        // Progressive pacing
+        'ramp-toggle': () => {
+            state.rampEnabled = !state.rampEnabled;
+            saveSettings();
+            render();
+        },
+        'ramp-start': (input) => updateRampSetting(input, 'rampStart', getExercise(state.exerciseType).phaseTimeRange),
+        'ramp-target': (input) => updateRampSetting(input, 'rampTarget', getExercise(state.exerciseType).phaseTimeRange),
+        'ramp-minutes': (input) => updateRampSetting(input, 'rampMinutes', rampMinutesRange)
+    };
+
+    const mainInputActions = {
+        'ambient-volume': (input) => {
+            state.ambientVolume = Number(input.value);
+            saveSettings();
+        },
+        'time-limit': handleTimeLimitChange,
+        ...Object.fromEntries(Array.from(
+            { length: Math.max(...Object.values(exerciseTypes).map(exercise => exercise.phaseRanges.length)) },
+            (_, index) => [`phase-duration-${index}`, (input) => updatePhaseDuration(index, input)]
+        ))
+    };
+
+    app.addEventListener('click', (e) => {
+        const button = e.target instanceof Element ? e.target.closest('button') : null;
+        if (state.view !== 'main' || !button || !app.contains(button)) {
+            return;
+        }
+        if (button.dataset.exercise) {
+            setExerciseType(button.dataset.exercise);
+        } else if (mainClickActions[button.id]) {
+            mainClickActions[button.id](button);
+        }
+    });
+
+    app.addEventListener('change', (e) => {
+        if (state.view === 'main' && mainChangeActions[e.target.id]) {
+            mainChangeActions[e.target.id](e.target);
+        }
+    });
+
+    app.addEventListener('input', (e) => {
+        if (state.view === 'main' && mainInputActions[e.target.id]) {
+            mainInputActions[e.target.id](e.target);
+        }
+    });
+
+    function render() {
+        if (state.view === 'patternEditor') {
+            renderPatternEditor();
+            return;
+        }
+        if (state.view === 'history') {
+            renderHistory();
+            return;
+        }
+        if (state.view === 'programs') {
+            renderPrograms();
+            return;
+        }
+        if (state.view === 'programEditor') {
+            renderProgramEditor();
+            return;
+        }
+        if (state.view === 'reminders') {
+            renderReminders();
+            return;
+        }
+        if (state.view === 'assessment') {
+            renderAssessment();
+            return;
+        }
+
+        renderMainView();
         if (!state.isPlaying) {
-            drawScene({ progress: state.sessionComplete ? 1 : 0, phase: state.count, showTrail: false });
+            drawScene({ progress: getIdleProgress(), phase: state.count, showTrail: state.isPaused });
+        }
+    }
+
+    // Keyboard shortcuts
+    function isTextEntry(element) {
+        return element instanceof HTMLElement
+            && (element.matches('input, select, textarea') || element.isContentEditable);
+    }
+
+    function handleEscape() {
+        if (state.isPlaying || state.isPaused) {
+            stopSession();
+        } else if (state.sessionComplete) {
+            resetToStart();
+        } else if (state.view === 'patternEditor') {
+            closePatternEditor();
+        } else if (state.view === 'programEditor') {
+            closeProgramEditor();
+        } else if (state.view === 'programs') {
+            closePrograms();
+        } else if (state.view === 'history') {
+            closeHistory();
+        } else if (state.view === 'reminders') {
+            closeReminders();
+        } else if (state.view === 'assessment') {
+            closeAssessment();
+        }
+    }
+
+    function handleKeydown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) {
+            return;
+        }
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            handleEscape();
+            return;
+        }
+        if (state.view !== 'main' || isTextEntry(e.target)) {
+            return;
+        }
+        const onStartScreen = !state.isPlaying && !state.isPaused && !state.sessionComplete;
+        const key = e.key.toLowerCase();
+        if (key === ' ') {
+            // Focused buttons already activate on Space
+            if (e.target instanceof HTMLElement && e.target.matches('button')) {
+                return;
+            }
+            e.preventDefault();
+            if (!state.sessionComplete) {
+                togglePlay();
+            }
+        } else if (key === 's') {
+            toggleSound();
+        } else if (key === 'c') {
+            toggleCountdown();
+        } else if (onStartScreen && /^[1-9]$/.test(key)) {
+            const entry = getExerciseEntries()[Number(key) - 1];
+            if (entry) {
+                setExerciseType(entry[0]);
+                announce(entry[1].name);
+            }
         }
     }
 
+    document.addEventListener('keydown', handleKeydown);
+
+    // Closing the page mid-session still counts as an abandoned session
+    window.addEventListener('pagehide', () => {
+        if (state.isPlaying || state.isPaused) {
+            recordSession({ completed: false });
+        }
+    });
+
     render();
     resizeCanvas();
+
+    // With a service worker, reminders are scheduled once it has registered
+    if (!('serviceWorker' in navigator)) {
+        scheduleReminders();
+    }
+
+    // Home-screen shortcuts and shared links can start a session straight away
+    if (pendingLaunch && pendingLaunch.autostart) {
+        // Browsers keep audio suspended until the first interaction after an automatic start
+        document.addEventListener('pointerdown', () => {
+            if (audioContext && audioContext.state === 'suspended') {
+                audioContext.resume();
+            }
+        }, { once: true });
+        if (pendingLaunch.rounds > 0) {
+            startWithRounds(pendingLaunch.rounds);
+        } else if (pendingLaunch.minutes > 0) {
+            startWithPreset(pendingLaunch.minutes);
+        } else {
+            togglePlay();
+        }
+    }
 });
\ No newline at end of file
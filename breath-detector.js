@@ -0,0 +1,138 @@
+// Breath detection from microphone samples: a loudness envelope of breath noise is turned into
+// inhale, exhale or quiet, and a scorer measures how much of a session matched the guided phase.
+// Nothing here touches the microphone or the clock, so recorded audio can be fed through the
+// same code as a live analyser (see analyzeRecording).
+(function (root) {
+    // Air blown across the microphone on the way out is louder than air drawn in, so strong
+    // breath noise reads as an exhale and softer noise as an inhale
+    const defaultDetectorOptions = {
+        smoothingSeconds: 0.15,
+        floorRiseSeconds: 6,
+        peakFallSeconds: 8,
+        // Below this RMS range between floor and peak nothing audible is happening
+        minRange: 0.003,
+        quietBelow: 0.2,
+        exhaleAbove: 0.6,
+        hysteresis: 0.05
+    };
+
+    // Phase kinds mapped to what the detector should hear during them
+    const expectedStates = { inhale: 'inhale', exhale: 'exhale', hold: 'quiet', rest: 'quiet' };
+
+    function getRms(samples) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        return samples.length > 0 ? Math.sqrt(sum / samples.length) : 0;
+    }
+
+    // Share of the way a one-pole filter with time constant tau moves in dt seconds
+    function smoothing(dt, tau) {
+        return 1 - Math.exp(-dt / tau);
+    }
+
+    /**
+     * Creates a detector for one stream of audio. process(samples, time) takes a frame of
+     * samples in -1..1 and the time in seconds at its end, and returns { level, activity, state }
+     * where activity is 0..1 between the adaptive noise floor and the recent peak.
+     */
+    function createBreathDetector(options = {}) {
+        const settings = { ...defaultDetectorOptions, ...options };
+        let lastTime = null;
+        let level = null;
+        let floor = 0;
+        let peak = 0;
+        let state = 'quiet';
+
+        // Thresholds are moved away from the current state so noise at a boundary doesn't flicker
+        function classify(activity) {
+            const margin = settings.hysteresis;
+            const quietBelow = settings.quietBelow + (state === 'quiet' ? margin : -margin);
+            const exhaleAbove = settings.exhaleAbove + (state === 'exhale' ? -margin : margin);
+            if (activity < quietBelow) {
+                return 'quiet';
+            }
+            return activity > exhaleAbove ? 'exhale' : 'inhale';
+        }
+
+        function process(samples, time) {
+            const rms = getRms(samples);
+            const dt = lastTime === null ? 0 : Math.max(0, time - lastTime);
+            lastTime = time;
+            if (level === null) {
+                level = rms;
+                floor = rms;
+                peak = rms;
+            } else {
+                level += (rms - level) * smoothing(dt, settings.smoothingSeconds);
+            }
+            // The floor drops to quiet moments at once and only creeps up, the peak the reverse
+            floor = level < floor ? level : floor + (level - floor) * smoothing(dt, settings.floorRiseSeconds);
+            peak = level > peak ? level : peak + (floor - peak) * smoothing(dt, settings.peakFallSeconds);
+            const range = peak - floor;
+            const activity = range < settings.minRange ? 0 : (level - floor) / range;
+            state = classify(activity);
+            return { level, activity, state };
+        }
+
+        return { process };
+    }
+
+    /**
+     * Scores detected states against the guided phase kinds, weighted by time. The start of each
+     * phase is skipped to allow for reaction time, and steps longer than maxStepSeconds (a hidden
+     * tab, a pause) only count for that long. adherence is 0..1, or null until enough was scored.
+     */
+    function createAdherenceScorer({ graceSeconds = 0.75, maxStepSeconds = 0.25, minScoredSeconds = 10 } = {}) {
+        let lastTime = null;
+        let scoredSeconds = 0;
+        let matchedSeconds = 0;
+
+        function add(expectedKind, detectedState, phaseElapsed, time) {
+            const dt = lastTime === null ? 0 : Math.min(maxStepSeconds, Math.max(0, time - lastTime));
+            lastTime = time;
+            if (!expectedStates[expectedKind] || phaseElapsed < graceSeconds) {
+                return;
+            }
+            scoredSeconds += dt;
+            if (detectedState === expectedStates[expectedKind]) {
+                matchedSeconds += dt;
+            }
+        }
+
+        function getResult() {
+            return {
+                adherence: scoredSeconds >= minScoredSeconds ? matchedSeconds / scoredSeconds : null,
+                scoredSeconds
+            };
+        }
+
+        return { add, getResult };
+    }
+
+    /**
+     * Runs recorded audio through a detector and scorer as the app would live. getPhase(time)
+     * returns { kind, elapsed } for the guided phase at that many seconds into the recording.
+     */
+    function analyzeRecording({ samples, sampleRate, getPhase, frameSize = 2048, hopSize = 1024, detector = {}, scorer = {} }) {
+        const breathDetector = createBreathDetector(detector);
+        const adherenceScorer = createAdherenceScorer(scorer);
+        const timeline = [];
+        for (let end = frameSize; end <= samples.length; end += hopSize) {
+            const time = end / sampleRate;
+            const detected = breathDetector.process(samples.subarray(end - frameSize, end), time);
+            const phase = getPhase(time);
+            adherenceScorer.add(phase.kind, detected.state, phase.elapsed, time);
+            timeline.push({ time, state: detected.state, activity: detected.activity });
+        }
+        return { ...adherenceScorer.getResult(), timeline };
+    }
+
+    const breathDetection = { createBreathDetector, createAdherenceScorer, analyzeRecording, expectedStates };
+    if (typeof module === 'object' && module.exports) {
+        module.exports = breathDetection;
+    } else {
+        root.breathDetection = breathDetection;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
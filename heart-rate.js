@@ -0,0 +1,264 @@
+// Heart rate monitors: parsing of the Bluetooth Heart Rate Measurement characteristic, HRV
+// metrics from RR intervals, and a connection to a monitor through the Heart Rate Service.
+// Parsing and metrics are pure so recorded RR intervals can be checked without a device, and
+// the connection takes the bluetooth object so a mock device can stand in for a real one.
+(function (root) {
+    const HEART_RATE_SERVICE = 0x180d;
+    const HEART_RATE_MEASUREMENT = 0x2a37;
+
+    // RR intervals are sent in units of 1/1024 s
+    const RR_UNITS_PER_SECOND = 1024;
+
+    // Intervals outside 30-200 bpm, or more than this far from the median of the intervals
+    // around them, are artifacts
+    const rrRange = { min: 300, max: 2000 };
+    const MAX_RR_CHANGE = 0.2;
+    const MEDIAN_NEIGHBORS = 3;
+
+    // Spectral metrics use heart rate resampled at this rate, over at least this much data
+    const RESAMPLE_HZ = 4;
+    const MIN_SPECTRAL_SECONDS = 30;
+    const spectrumRange = { min: 0.0033, max: 0.4 };
+    // Breathing-driven rhythms are looked for in this band, with this half-width around the peak
+    const resonanceBand = { min: 0.04, max: 0.26 };
+    const PEAK_HALF_WIDTH = 0.015;
+
+    /**
+     * Parses a Heart Rate Measurement value (a DataView) into
+     * { heartRate, contactDetected, energyExpended, rrIntervals } with RR intervals in
+     * milliseconds. contactDetected and energyExpended are null when the monitor doesn't send them.
+     */
+    function parseHeartRateMeasurement(data) {
+        const flags = data.getUint8(0);
+        const isUint16 = (flags & 0x01) !== 0;
+        const contactSupported = (flags & 0x04) !== 0;
+        const hasEnergy = (flags & 0x08) !== 0;
+        const hasRr = (flags & 0x10) !== 0;
+        let offset = 1;
+        const heartRate = isUint16 ? data.getUint16(offset, true) : data.getUint8(offset);
+        offset += isUint16 ? 2 : 1;
+        let energyExpended = null;
+        if (hasEnergy) {
+            energyExpended = data.getUint16(offset, true);
+            offset += 2;
+        }
+        const rrIntervals = [];
+        if (hasRr) {
+            for (; offset + 1 < data.byteLength; offset += 2) {
+                rrIntervals.push(Math.round(data.getUint16(offset, true) * 1000 / RR_UNITS_PER_SECOND));
+            }
+        }
+        return {
+            heartRate,
+            contactDetected: contactSupported ? (flags & 0x02) !== 0 : null,
+            energyExpended,
+            rrIntervals
+        };
+    }
+
+    function getMedian(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // Each interval is judged against its neighbors rather than the last one kept, so an
+    // ectopic beat (even the first of the session) can't cause the real beats after it to be dropped
+    function cleanRrIntervals(rrIntervals) {
+        const inRange = rrIntervals.filter(rr => Number.isFinite(rr) && rr >= rrRange.min && rr <= rrRange.max);
+        return inRange.filter((rr, i) => {
+            const median = getMedian(inRange.slice(Math.max(0, i - MEDIAN_NEIGHBORS), i + MEDIAN_NEIGHBORS + 1));
+            return Math.abs(rr - median) / median <= MAX_RR_CHANGE;
+        });
+    }
+
+    // Root mean square of successive differences, in milliseconds
+    function computeRmssd(rrIntervals) {
+        if (rrIntervals.length < 2) {
+            return null;
+        }
+        let sum = 0;
+        for (let i = 1; i < rrIntervals.length; i++) {
+            sum += (rrIntervals[i] - rrIntervals[i - 1]) ** 2;
+        }
+        return Math.sqrt(sum / (rrIntervals.length - 1));
+    }
+
+    function computeSdnn(rrIntervals) {
+        if (rrIntervals.length < 2) {
+            return null;
+        }
+        const mean = rrIntervals.reduce((sum, rr) => sum + rr, 0) / rrIntervals.length;
+        const variance = rrIntervals.reduce((sum, rr) => sum + (rr - mean) ** 2, 0) / (rrIntervals.length - 1);
+        return Math.sqrt(variance);
+    }
+
+    // Instantaneous heart rate, linearly interpolated to an even grid starting at the first beat
+    function resampleHeartRate(rrIntervals) {
+        const times = [];
+        const rates = [];
+        let time = 0;
+        rrIntervals.forEach(rr => {
+            time += rr / 1000;
+            times.push(time);
+            rates.push(60000 / rr);
+        });
+        const samples = [];
+        let index = 0;
+        for (let t = times[0]; t <= times[times.length - 1]; t += 1 / RESAMPLE_HZ) {
+            while (times[index + 1] < t) {
+                index++;
+            }
+            const span = times[index + 1] - times[index];
+            const fraction = span > 0 ? (t - times[index]) / span : 0;
+            samples.push(rates[index] + (rates[index + 1] - rates[index]) * Math.min(1, fraction));
+        }
+        return samples;
+    }
+
+    // Power at each frequency of a detrended series, from a plain DFT over the HRV range
+    function getSpectrum(samples) {
+        const n = samples.length;
+        const meanIndex = (n - 1) / 2;
+        const mean = samples.reduce((sum, value) => sum + value, 0) / n;
+        let slopeNumerator = 0;
+        let slopeDenominator = 0;
+        samples.forEach((value, i) => {
+            slopeNumerator += (i - meanIndex) * (value - mean);
+            slopeDenominator += (i - meanIndex) ** 2;
+        });
+        const slope = slopeDenominator > 0 ? slopeNumerator / slopeDenominator : 0;
+        const detrended = samples.map((value, i) => value - mean - slope * (i - meanIndex));
+
+        const spectrum = [];
+        const resolution = RESAMPLE_HZ / n;
+        for (let k = Math.ceil(spectrumRange.min / resolution); k * resolution <= spectrumRange.max; k++) {
+            let re = 0;
+            let im = 0;
+            for (let i = 0; i < n; i++) {
+                const angle = 2 * Math.PI * k * i / n;
+                re += detrended[i] * Math.cos(angle);
+                im -= detrended[i] * Math.sin(angle);
+            }
+            spectrum.push({ frequency: k * resolution, power: (re * re + im * im) / n });
+        }
+        return spectrum;
+    }
+
+    // Average heart rate swing (max - min) over each whole breath cycle
+    function computePeakToTrough(samples, breathsPerMinute) {
+        const cycleSamples = Math.round(60 / breathsPerMinute * RESAMPLE_HZ);
+        const swings = [];
+        for (let start = 0; start + cycleSamples <= samples.length; start += cycleSamples) {
+            const cycle = samples.slice(start, start + cycleSamples);
+            swings.push(Math.max(...cycle) - Math.min(...cycle));
+        }
+        return swings.length > 0 ? swings.reduce((sum, swing) => sum + swing, 0) / swings.length : null;
+    }
+
+    /**
+     * HRV and resonance metrics for a session's RR intervals (ms). Time-domain values are in ms
+     * and bpm. peakFrequency (Hz) is the strongest heart rate rhythm in the breathing band and
+     * coherence (0..1) is the share of variability within it; peakToTrough (bpm) is the average
+     * heart rate swing per breath at breathsPerMinute. Metrics without enough data are null.
+     */
+    function computeHrvMetrics(rrIntervals, { breathsPerMinute = null } = {}) {
+        const cleaned = cleanRrIntervals(rrIntervals);
+        const metrics = {
+            beats: cleaned.length,
+            meanHeartRate: cleaned.length > 0 ? 60000 * cleaned.length / cleaned.reduce((sum, rr) => sum + rr, 0) : null,
+            rmssd: computeRmssd(cleaned),
+            sdnn: computeSdnn(cleaned),
+            peakToTrough: null,
+            peakFrequency: null,
+            coherence: null
+        };
+        const seconds = cleaned.reduce((sum, rr) => sum + rr, 0) / 1000;
+        if (seconds < MIN_SPECTRAL_SECONDS) {
+            return metrics;
+        }
+        const samples = resampleHeartRate(cleaned);
+        if (breathsPerMinute > 0) {
+            metrics.peakToTrough = computePeakToTrough(samples, breathsPerMinute);
+        }
+        const spectrum = getSpectrum(samples);
+        const total = spectrum.reduce((sum, bin) => sum + bin.power, 0);
+        const peak = spectrum
+            .filter(bin => bin.frequency >= resonanceBand.min && bin.frequency <= resonanceBand.max)
+            .reduce((best, bin) => (!best || bin.power > best.power ? bin : best), null);
+        if (peak && total > 0) {
+            const peakPower = spectrum
+                .filter(bin => Math.abs(bin.frequency - peak.frequency) <= PEAK_HALF_WIDTH)
+                .reduce((sum, bin) => sum + bin.power, 0);
+            metrics.peakFrequency = peak.frequency;
+            metrics.coherence = peakPower / total;
+        }
+        return metrics;
+    }
+
+    /**
+     * Asks the user to pick a monitor and subscribes to its measurements. Resolves to
+     * { name, disconnect() }; onMeasurement gets each parsed measurement and onDisconnect runs
+     * if the monitor goes away.
+     */
+    function connectHeartRateMonitor({ bluetooth, onMeasurement, onDisconnect = () => {} }) {
+        let device = null;
+        let characteristic = null;
+        const handleValue = (event) => onMeasurement(parseHeartRateMeasurement(event.target.value));
+        const handleDisconnect = () => {
+            characteristic.removeEventListener('characteristicvaluechanged', handleValue);
+            onDisconnect();
+        };
+        return bluetooth.requestDevice({ filters: [{ services: [HEART_RATE_SERVICE] }] })
+            .then(selected => {
+                device = selected;
+                return device.gatt.connect();
+            })
+            .then(server => server.getPrimaryService(HEART_RATE_SERVICE))
+            .then(service => service.getCharacteristic(HEART_RATE_MEASUREMENT))
+            .then(measurement => {
+                characteristic = measurement;
+                characteristic.addEventListener('characteristicvaluechanged', handleValue);
+                device.addEventListener('gattserverdisconnected', handleDisconnect);
+                return characteristic.startNotifications();
+            })
+            .then(() => ({
+                name: device.name || '',
+                disconnect() {
+                    device.removeEventListener('gattserverdisconnected', handleDisconnect);
+                    characteristic.removeEventListener('characteristicvaluechanged', handleValue);
+                    if (device.gatt.connected) {
+                        device.gatt.disconnect();
+                    }
+                }
+            }))
+            .catch(error => {
+                // Don't leave the monitor connected if setting it up failed part way
+                if (characteristic) {
+                    characteristic.removeEventListener('characteristicvaluechanged', handleValue);
+                }
+                if (device) {
+                    device.removeEventListener('gattserverdisconnected', handleDisconnect);
+                    if (device.gatt.connected) {
+                        device.gatt.disconnect();
+                    }
+                }
+                throw error;
+            });
+    }
+
+    const heartRate = {
+        HEART_RATE_SERVICE,
+        HEART_RATE_MEASUREMENT,
+        parseHeartRateMeasurement,
+        cleanRrIntervals,
+        computeRmssd,
+        computeHrvMetrics,
+        connectHeartRateMonitor
+    };
+    if (typeof module === 'object' && module.exports) {
+        module.exports = heartRate;
+    } else {
+        root.heartRate = heartRate;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
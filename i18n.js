@@ -0,0 +1,525 @@
+// Translations: one message catalog per locale, looked up by key. Messages may contain
+// {param} placeholders, and counted messages are objects keyed by Intl.PluralRules category.
+// Messages are inserted as markup, so they use plain characters rather than HTML entities.
+(function (root) {
+    const DEFAULT_LOCALE = 'en';
+
+    const catalogs = {
+        en: {
+            name: 'English',
+            manifest: 'manifest.json',
+            messages: {
+                'app.title': 'Breathing Exercises',
+                'app.offline': 'You are offline, but the app will work normally',
+                'update.available': 'A new version is available',
+                'update.apply': 'Update',
+                'update.dismiss': 'Dismiss',
+                'update.afterSession': 'Update will install after this session',
+
+                'phase.inhale': 'Inhale',
+                'phase.hold': 'Hold',
+                'phase.exhale': 'Exhale',
+                'phase.rest': 'Wait',
+
+                'exercise.box.name': 'Box Breathing',
+                'exercise.box.description': 'Equal phases for balance and calm',
+                'exercise.box.paceLabel': 'Phase Time',
+                'exercise.fourSevenEight.name': '4-7-8 Breathing',
+                'exercise.fourSevenEight.description': 'Relaxation and sleep aid',
+                'exercise.longExhale.name': 'Long Exhale',
+                'exercise.longExhale.description': 'Extended exhale for relaxation',
+                'exercise.longExhale.paceLabel': 'Exhale Time',
+                'exercise.coherent.name': 'Coherent Breathing',
+                'exercise.coherent.description': 'Equal inhale and exhale for HRV',
+                'exercise.coherent.paceLabel': 'Breath Time',
+
+                'palette.warm': 'Warm',
+                'palette.okabeIto': 'Colorblind safe',
+                'palette.ibm': 'Colorblind safe (IBM)',
+                'palette.highContrast': 'High contrast',
+                'palette.custom': 'Custom',
+                'tone.chime': 'Chime',
+                'tone.phase': 'Phase tones',
+                'tone.swell': 'Swell',
+                'ambient.off': 'Off',
+                'ambient.pink': 'Pink noise',
+                'ambient.brown': 'Brown noise',
+                'guide.auto': 'Auto',
+                'guide.square': 'Square',
+                'guide.circle': 'Circle',
+                'guide.triangle': 'Triangle',
+                'guide.glow': 'Glow only',
+                'theme.system': 'Follow system',
+                'theme.dark': 'Dark',
+                'theme.light': 'Light',
+                'theme.highContrast': 'High contrast',
+                'language.auto': 'Browser language',
+
+                'count.rounds': { one: '{count} round', other: '{count} rounds' },
+                'count.minutes': '{count} min',
+                'count.sessions': { one: '{count} session', other: '{count} sessions' },
+                'count.newSessions': { one: '{count} new session', other: '{count} new sessions' },
+                'count.patterns': { one: '{count} pattern', other: '{count} patterns' },
+                'count.programs': { one: '{count} program', other: '{count} programs' },
+                'count.reminders': { one: '{count} reminder', other: '{count} reminders' },
+                'count.invalidEntries': { one: '{count} invalid entry', other: '{count} invalid entries' },
+                'unit.min': 'min',
+                'unit.minutes': 'minutes',
+                'unit.rounds': 'rounds',
+                'unit.s': 's',
+
+                'cue.complete': 'Complete',
+                'announce.sessionComplete': 'Session complete',
+                'announce.paused': 'Paused',
+                'announce.resumed': 'Resumed',
+                'announce.stopped': 'Session stopped',
+                'share.copy': 'Copy Link',
+                'share.copied': 'Link copied',
+                'share.prompt': 'Copy this link',
+
+                'controls.start': 'Start',
+                'controls.pause': 'Pause',
+                'controls.resume': 'Resume',
+                'controls.stop': 'Stop',
+                'nav.back': 'Back',
+                'nav.backToStart': 'Back to Start',
+                'editor.name': 'Name',
+                'editor.save': 'Save',
+                'editor.cancel': 'Cancel',
+                'editor.delete': 'Delete',
+                'editor.edit': 'Edit',
+
+                'session.prompt': 'Press start to begin',
+                'session.shortcuts': 'Space start/pause · Esc stop · 1–{last} exercise · S sound · C countdown',
+                'session.complete': 'Complete!',
+                'session.paused': 'Paused',
+                'session.finishing': 'Finishing current cycle...',
+                'session.limitReached': 'Time limit reached',
+                'session.progress': 'Session progress',
+                'session.phases': 'Phases',
+                'session.roundOf': 'Round {number} of {total}',
+                'session.totalTime': 'Total Time: {time}',
+                'session.remaining': 'Remaining: {time}',
+                'session.breathsPerMinute': '{rate} breaths/min',
+
+                'settings.on': 'On',
+                'settings.off': 'Off',
+                'settings.sound': 'Sound {state}',
+                'settings.tones': 'Tones',
+                'settings.voice': 'Voice Cues {state}',
+                'settings.ambient': 'Ambient',
+                'settings.volume': 'Volume',
+                'settings.countdown': 'Countdown {state}',
+                'settings.vibration': 'Vibration {state}',
+                'settings.breathDetection': 'Breath Detection {state}',
+                'settings.heartRateConnect': 'Connect Heart Rate Monitor',
+                'settings.heartRateConnecting': 'Connecting…',
+                'settings.heartRateDisconnect': 'Disconnect {name}',
+                'settings.visualGuide': 'Visual Guide',
+                'settings.theme': 'Theme',
+                'settings.phaseColors': 'Phase Colors',
+                'settings.language': 'Language',
+                'settings.roundsPlaceholder': 'Rounds',
+                'settings.minutesPlaceholder': 'Time limit (minutes)',
+                'settings.roundsLabel': 'Rounds (optional)',
+                'settings.minutesLabel': 'Minutes (optional)',
+                'ramp.toggle': 'Progressive Pace {state}',
+                'ramp.from': '{label} from',
+                'ramp.to': 'to',
+                'ramp.over': 'Over',
+                'pace.sliderLabel': '{label} (seconds): {value}',
+                'pace.keepRatio': 'Keep Ratio {state}',
+                'pace.summary': '{rate} breaths/min · {seconds}-second cycle',
+
+                'pattern.custom': 'Custom',
+                'pattern.defaultName': 'Custom Pattern',
+                'pattern.description': 'Custom pattern: {durations}',
+                'pattern.new': 'New Pattern',
+                'pattern.edit': 'Edit Pattern',
+                'pattern.namePlaceholder': 'e.g. Triangle',
+                'pattern.phaseKind': 'Phase {number} type',
+                'pattern.phaseName': 'Phase {number} name',
+                'pattern.phaseDuration': 'Phase {number} duration in seconds',
+                'pattern.phaseColor': 'Phase {number} color',
+                'pattern.removePhase': 'Remove phase {number}',
+                'pattern.addPhase': 'Add Phase',
+                'pattern.cycleLength': 'Cycle length: {seconds} seconds',
+                'pattern.error.name': 'Please give the pattern a name',
+                'pattern.error.phase': 'Phase {number} needs a name and a duration between {min} and {max} seconds',
+                'pattern.confirmDelete': 'Delete "{name}"?',
+                'pattern.thisPattern': 'this pattern',
+
+                'programs.title': 'Programs',
+                'programs.empty': 'Chain exercises into one session, such as a warm-up, main practice and wind-down.',
+                'program.defaultName': 'Program',
+                'program.missingExercise': 'Missing exercise',
+                'program.new': 'New Program',
+                'program.edit': 'Edit Program',
+                'program.namePlaceholder': 'e.g. Morning routine',
+                'program.stageOf': 'Stage {number} of {total}',
+                'program.stageExercise': 'Stage {number} exercise',
+                'program.stagePace': 'Stage {number} {label} in seconds',
+                'program.paceTitle': '{label} (seconds)',
+                'program.stageLimit': 'Stage {number} limit',
+                'program.stageLimitType': 'Stage {number} limit type',
+                'program.removeStage': 'Remove stage {number}',
+                'program.addStage': 'Add Stage',
+                'program.stageHint': 'Each stage moves on after the exhale that follows its limit.',
+                'program.error.name': 'Please give the program a name',
+                'program.error.stage': 'Stage {number} needs a limit of at least {min}',
+                'program.confirmDelete': 'Delete "{name}"?',
+                'program.thisProgram': 'this program',
+
+                'history.title': 'History',
+                'history.loading': 'Loading...',
+                'history.empty': 'No sessions yet. Finished and stopped sessions will appear here.',
+                'history.unavailable': 'History is not available in this browser',
+                'history.totalMinutes': 'total min',
+                'history.sessions': 'sessions',
+                'history.dayStreak': 'day streak',
+                'history.bestStreak': 'best streak',
+                'history.lastDays': 'Last 7 days',
+                'history.lastWeeks': 'Last 4 weeks',
+                'history.weekOf': 'Week of {date}',
+                'history.byExercise': 'Minutes per exercise',
+
+                'backup.export': 'Export Data',
+                'backup.import': 'Import Data',
+                'backup.csv': 'Sessions CSV',
+                'backup.exported': 'Exported settings and {sessions}',
+                'backup.exportedCsv': 'Exported {sessions}',
+                'backup.noSessions': 'No sessions to export yet',
+                'backup.imported': 'Imported {patterns}, {programs}, {reminders} and {sessions}',
+                'backup.skipped': '({entries} skipped)',
+                'backup.invalid': 'This file is not a valid backup',
+                'backup.newerVersion': 'This backup was made by a newer version of the app',
+                'backup.historyUnavailable': 'Settings were imported, but history is not available in this browser',
+
+                'reminders.title': 'Reminders',
+                'reminders.empty': 'Get a nudge to breathe at set times, such as 10:00 and 15:00 on weekdays.',
+                'reminders.allow': 'Allow Notifications',
+                'reminders.new': 'New Reminder',
+                'reminders.notificationTitle': 'Time to breathe',
+                'reminders.time': 'Reminder {number} time',
+                'reminders.exercise': 'Reminder {number} exercise',
+                'reminders.rounds': 'Reminder {number} rounds (optional)',
+                'reminders.minutes': 'Reminder {number} minutes (optional)',
+                'reminders.days': 'Reminder {number} days',
+                'reminders.remove': 'Remove reminder {number}',
+                'reminders.status.unsupported': 'This browser can\'t show notifications, so reminders won\'t appear.',
+                'reminders.status.denied': 'Notifications are blocked. Allow them in your browser settings to get reminders.',
+                'reminders.status.needsPermission': 'Reminders need permission to show notifications.',
+                'reminders.status.whileOpen': 'Reminders appear while the app is open, including in a background tab.',
+                'reminders.status.always': 'Reminders appear even when the app is closed.',
+
+                'biofeedback.unavailable': 'The microphone isn\'t available, so breathing can\'t be followed.',
+                'biofeedback.adherence': 'Your breathing followed the guide {percent}% of the time',
+                'biofeedback.noResult': 'Not enough breathing was heard to score this session',
+
+                'heartRate.monitor': 'Heart Rate Monitor',
+                'heartRate.live': '♥ {bpm} bpm',
+                'heartRate.waiting': '♥ – bpm',
+                'heartRate.unavailable': 'The heart rate monitor couldn\'t be connected.',
+                'heartRate.lost': 'The heart rate monitor disconnected.',
+                'heartRate.summary': 'Average heart rate {bpm} bpm · RMSSD {rmssd} ms',
+                'heartRate.resonance': 'Heart rate swing {swing} bpm per breath · {coherence}% of variability at {rate} breaths/min',
+                'heartRate.noResult': 'Not enough heartbeats were recorded to measure HRV',
+
+                'assessment.start': 'Find My Resonance Pace',
+                'assessment.title': 'Resonance Assessment',
+                'assessment.stepOf': 'Step {number} of {total} · {rate} breaths/min',
+                'assessment.stepDone': 'Step {number} of {total} done: {rate} breaths/min',
+                'assessment.question': 'How comfortable was this pace?',
+                'assessment.rating.1': 'Strained',
+                'assessment.rating.2': 'Uneasy',
+                'assessment.rating.3': 'Okay',
+                'assessment.rating.4': 'Comfortable',
+                'assessment.rating.5': 'Effortless',
+                'assessment.notRated': 'Not rated',
+                'assessment.swing': 'Heart rate swing {swing} bpm per breath',
+                'assessment.rest': 'Rest. The next step starts in {seconds} s.',
+                'assessment.next': 'Start Next Step',
+                'assessment.finish': 'See Results',
+                'assessment.stop': 'Stop Assessment',
+                'assessment.recommendation': 'Your resonance pace is {rate} breaths/min: {inhale} seconds in and {exhale} seconds out. It\'s now your Coherent Breathing pace.',
+                'assessment.basis.hrv': 'It gave the largest heart rate swing.',
+                'assessment.basis.rating': 'It was the pace you rated best.',
+                'assessment.noRecommendation': 'Rate at least one step, or connect a heart rate monitor, to get a recommendation.'
+            }
+        },
+        es: {
+            name: 'Español',
+            manifest: 'manifest.es.json',
+            messages: {
+                'app.title': 'Ejercicios de respiración',
+                'app.offline': 'Estás sin conexión, pero la app funcionará con normalidad',
+                'update.available': 'Hay una nueva versión disponible',
+                'update.apply': 'Actualizar',
+                'update.dismiss': 'Descartar',
+                'update.afterSession': 'La actualización se instalará al terminar esta sesión',
+
+                'phase.inhale': 'Inhala',
+                'phase.hold': 'Mantén',
+                'phase.exhale': 'Exhala',
+                'phase.rest': 'Pausa',
+
+                'exercise.box.name': 'Respiración cuadrada',
+                'exercise.box.description': 'Fases iguales para el equilibrio y la calma',
+                'exercise.box.paceLabel': 'Duración de fase',
+                'exercise.fourSevenEight.name': 'Respiración 4-7-8',
+                'exercise.fourSevenEight.description': 'Relajación y ayuda para dormir',
+                'exercise.longExhale.name': 'Exhalación larga',
+                'exercise.longExhale.description': 'Exhalación prolongada para relajarse',
+                'exercise.longExhale.paceLabel': 'Duración de la exhalación',
+                'exercise.coherent.name': 'Respiración coherente',
+                'exercise.coherent.description': 'Inhalación y exhalación iguales para la VFC',
+                'exercise.coherent.paceLabel': 'Duración de respiración',
+
+                'palette.warm': 'Cálida',
+                'palette.okabeIto': 'Apta para daltonismo',
+                'palette.ibm': 'Apta para daltonismo (IBM)',
+                'palette.highContrast': 'Alto contraste',
+                'palette.custom': 'Personalizada',
+                'tone.chime': 'Campana',
+                'tone.phase': 'Tonos por fase',
+                'tone.swell': 'Oleaje',
+                'ambient.off': 'Desactivado',
+                'ambient.pink': 'Ruido rosa',
+                'ambient.brown': 'Ruido marrón',
+                'guide.auto': 'Automática',
+                'guide.square': 'Cuadrado',
+                'guide.circle': 'Círculo',
+                'guide.triangle': 'Triángulo',
+                'guide.glow': 'Solo brillo',
+                'theme.system': 'Según el sistema',
+                'theme.dark': 'Oscuro',
+                'theme.light': 'Claro',
+                'theme.highContrast': 'Alto contraste',
+                'language.auto': 'Idioma del navegador',
+
+                'count.rounds': { one: '{count} ronda', other: '{count} rondas' },
+                'count.minutes': '{count} min',
+                'count.sessions': { one: '{count} sesión', other: '{count} sesiones' },
+                'count.newSessions': { one: '{count} sesión nueva', other: '{count} sesiones nuevas' },
+                'count.patterns': { one: '{count} patrón', other: '{count} patrones' },
+                'count.programs': { one: '{count} programa', other: '{count} programas' },
+                'count.reminders': { one: '{count} recordatorio', other: '{count} recordatorios' },
+                'count.invalidEntries': { one: '{count} entrada no válida', other: '{count} entradas no válidas' },
+                'unit.min': 'min',
+                'unit.minutes': 'minutos',
+                'unit.rounds': 'rondas',
+                'unit.s': 's',
+
+                'cue.complete': 'Terminado',
+                'announce.sessionComplete': 'Sesión terminada',
+                'announce.paused': 'En pausa',
+                'announce.resumed': 'Reanudada',
+                'announce.stopped': 'Sesión detenida',
+                'share.copy': 'Copiar enlace',
+                'share.copied': 'Enlace copiado',
+                'share.prompt': 'Copia este enlace',
+
+                'controls.start': 'Empezar',
+                'controls.pause': 'Pausar',
+                'controls.resume': 'Reanudar',
+                'controls.stop': 'Detener',
+                'nav.back': 'Volver',
+                'nav.backToStart': 'Volver al inicio',
+                'editor.name': 'Nombre',
+                'editor.save': 'Guardar',
+                'editor.cancel': 'Cancelar',
+                'editor.delete': 'Eliminar',
+                'editor.edit': 'Editar',
+
+                'session.prompt': 'Pulsa empezar para comenzar',
+                'session.shortcuts': 'Espacio empezar/pausar · Esc detener · 1–{last} ejercicio · S sonido · C cuenta atrás',
+                'session.complete': '¡Terminado!',
+                'session.paused': 'En pausa',
+                'session.finishing': 'Terminando el ciclo actual...',
+                'session.limitReached': 'Límite de tiempo alcanzado',
+                'session.progress': 'Progreso de la sesión',
+                'session.phases': 'Fases',
+                'session.roundOf': 'Ronda {number} de {total}',
+                'session.totalTime': 'Tiempo total: {time}',
+                'session.remaining': 'Restante: {time}',
+                'session.breathsPerMinute': '{rate} respiraciones/min',
+
+                'settings.on': 'activado',
+                'settings.off': 'desactivado',
+                'settings.sound': 'Sonido {state}',
+                'settings.tones': 'Tonos',
+                'settings.voice': 'Indicaciones por voz {state}',
+                'settings.ambient': 'Ambiente',
+                'settings.volume': 'Volumen',
+                'settings.countdown': 'Cuenta atrás {state}',
+                'settings.vibration': 'Vibración {state}',
+                'settings.breathDetection': 'Detección de respiración {state}',
+                'settings.heartRateConnect': 'Conectar pulsómetro',
+                'settings.heartRateConnecting': 'Conectando…',
+                'settings.heartRateDisconnect': 'Desconectar {name}',
+                'settings.visualGuide': 'Guía visual',
+                'settings.theme': 'Tema',
+                'settings.phaseColors': 'Colores de fase',
+                'settings.language': 'Idioma',
+                'settings.roundsPlaceholder': 'Rondas',
+                'settings.minutesPlaceholder': 'Límite de tiempo (minutos)',
+                'settings.roundsLabel': 'Rondas (opcional)',
+                'settings.minutesLabel': 'Minutos (opcional)',
+                'ramp.toggle': 'Ritmo progresivo {state}',
+                'ramp.from': '{label} desde',
+                'ramp.to': 'hasta',
+                'ramp.over': 'Durante',
+                'pace.sliderLabel': '{label} (segundos): {value}',
+                'pace.keepRatio': 'Mantener proporción {state}',
+                'pace.summary': '{rate} respiraciones/min · ciclo de {seconds} segundos',
+
+                'pattern.custom': 'Personalizado',
+                'pattern.defaultName': 'Patrón personalizado',
+                'pattern.description': 'Patrón personalizado: {durations}',
+                'pattern.new': 'Nuevo patrón',
+                'pattern.edit': 'Editar patrón',
+                'pattern.namePlaceholder': 'p. ej. Triángulo',
+                'pattern.phaseKind': 'Tipo de la fase {number}',
+                'pattern.phaseName': 'Nombre de la fase {number}',
+                'pattern.phaseDuration': 'Duración de la fase {number} en segundos',
+                'pattern.phaseColor': 'Color de la fase {number}',
+                'pattern.removePhase': 'Quitar la fase {number}',
+                'pattern.addPhase': 'Añadir fase',
+                'pattern.cycleLength': 'Duración del ciclo: {seconds} segundos',
+                'pattern.error.name': 'Ponle un nombre al patrón',
+                'pattern.error.phase': 'La fase {number} necesita un nombre y una duración entre {min} y {max} segundos',
+                'pattern.confirmDelete': '¿Eliminar «{name}»?',
+                'pattern.thisPattern': 'este patrón',
+
+                'programs.title': 'Programas',
+                'programs.empty': 'Encadena ejercicios en una sola sesión, como un calentamiento, la práctica principal y una vuelta a la calma.',
+                'program.defaultName': 'Programa',
+                'program.missingExercise': 'Ejercicio no disponible',
+                'program.new': 'Nuevo programa',
+                'program.edit': 'Editar programa',
+                'program.namePlaceholder': 'p. ej. Rutina de mañana',
+                'program.stageOf': 'Etapa {number} de {total}',
+                'program.stageExercise': 'Ejercicio de la etapa {number}',
+                'program.stagePace': 'Etapa {number}: {label} en segundos',
+                'program.paceTitle': '{label} (segundos)',
+                'program.stageLimit': 'Límite de la etapa {number}',
+                'program.stageLimitType': 'Tipo de límite de la etapa {number}',
+                'program.removeStage': 'Quitar la etapa {number}',
+                'program.addStage': 'Añadir etapa',
+                'program.stageHint': 'Cada etapa avanza tras la exhalación que sigue a su límite.',
+                'program.error.name': 'Ponle un nombre al programa',
+                'program.error.stage': 'La etapa {number} necesita un límite de al menos {min}',
+                'program.confirmDelete': '¿Eliminar «{name}»?',
+                'program.thisProgram': 'este programa',
+
+                'history.title': 'Historial',
+                'history.loading': 'Cargando...',
+                'history.empty': 'Aún no hay sesiones. Las sesiones terminadas y detenidas aparecerán aquí.',
+                'history.unavailable': 'El historial no está disponible en este navegador',
+                'history.totalMinutes': 'min en total',
+                'history.sessions': 'sesiones',
+                'history.dayStreak': 'días de racha',
+                'history.bestStreak': 'mejor racha',
+                'history.lastDays': 'Últimos 7 días',
+                'history.lastWeeks': 'Últimas 4 semanas',
+                'history.weekOf': 'Semana del {date}',
+                'history.byExercise': 'Minutos por ejercicio',
+
+                'backup.export': 'Exportar datos',
+                'backup.import': 'Importar datos',
+                'backup.csv': 'Sesiones en CSV',
+                'backup.exported': 'Se exportaron los ajustes y {sessions}',
+                'backup.exportedCsv': 'Se exportaron {sessions}',
+                'backup.noSessions': 'Todavía no hay sesiones para exportar',
+                'backup.imported': 'Se importaron {patterns}, {programs}, {reminders} y {sessions}',
+                'backup.skipped': '(se omitieron {entries})',
+                'backup.invalid': 'Este archivo no es una copia de seguridad válida',
+                'backup.newerVersion': 'Esta copia de seguridad se hizo con una versión más reciente de la app',
+                'backup.historyUnavailable': 'Se importaron los ajustes, pero el historial no está disponible en este navegador',
+
+                'reminders.title': 'Recordatorios',
+                'reminders.empty': 'Recibe un aviso para respirar a horas fijas, como a las 10:00 y a las 15:00 entre semana.',
+                'reminders.allow': 'Permitir notificaciones',
+                'reminders.new': 'Nuevo recordatorio',
+                'reminders.notificationTitle': 'Hora de respirar',
+                'reminders.time': 'Hora del recordatorio {number}',
+                'reminders.exercise': 'Ejercicio del recordatorio {number}',
+                'reminders.rounds': 'Rondas del recordatorio {number} (opcional)',
+                'reminders.minutes': 'Minutos del recordatorio {number} (opcional)',
+                'reminders.days': 'Días del recordatorio {number}',
+                'reminders.remove': 'Quitar el recordatorio {number}',
+                'reminders.status.unsupported': 'Este navegador no puede mostrar notificaciones, así que los recordatorios no aparecerán.',
+                'reminders.status.denied': 'Las notificaciones están bloqueadas. Permítelas en los ajustes del navegador para recibir recordatorios.',
+                'reminders.status.needsPermission': 'Los recordatorios necesitan permiso para mostrar notificaciones.',
+                'reminders.status.whileOpen': 'Los recordatorios aparecen mientras la app está abierta, también en una pestaña en segundo plano.',
+                'reminders.status.always': 'Los recordatorios aparecen incluso con la app cerrada.',
+
+                'biofeedback.unavailable': 'El micrófono no está disponible, así que no se puede seguir la respiración.',
+                'biofeedback.adherence': 'Tu respiración siguió la guía el {percent} % del tiempo',
+                'biofeedback.noResult': 'No se oyó suficiente respiración para puntuar esta sesión',
+
+                'heartRate.monitor': 'pulsómetro',
+                'heartRate.live': '♥ {bpm} lpm',
+                'heartRate.waiting': '♥ – lpm',
+                'heartRate.unavailable': 'No se pudo conectar el pulsómetro.',
+                'heartRate.lost': 'El pulsómetro se desconectó.',
+                'heartRate.summary': 'Frecuencia cardiaca media {bpm} lpm · RMSSD {rmssd} ms',
+                'heartRate.resonance': 'Oscilación del pulso de {swing} lpm por respiración · {coherence} % de la variabilidad a {rate} respiraciones/min',
+                'heartRate.noResult': 'No se registraron suficientes latidos para medir la VFC',
+
+                'assessment.start': 'Encontrar mi ritmo de resonancia',
+                'assessment.title': 'Evaluación de resonancia',
+                'assessment.stepOf': 'Paso {number} de {total} · {rate} respiraciones/min',
+                'assessment.stepDone': 'Paso {number} de {total} terminado: {rate} respiraciones/min',
+                'assessment.question': '¿Qué tan cómodo fue este ritmo?',
+                'assessment.rating.1': 'Forzado',
+                'assessment.rating.2': 'Incómodo',
+                'assessment.rating.3': 'Aceptable',
+                'assessment.rating.4': 'Cómodo',
+                'assessment.rating.5': 'Sin esfuerzo',
+                'assessment.notRated': 'Sin valorar',
+                'assessment.swing': 'Oscilación del pulso de {swing} lpm por respiración',
+                'assessment.rest': 'Descansa. El siguiente paso empieza en {seconds} s.',
+                'assessment.next': 'Empezar el siguiente paso',
+                'assessment.finish': 'Ver resultados',
+                'assessment.stop': 'Detener la evaluación',
+                'assessment.recommendation': 'Tu ritmo de resonancia es de {rate} respiraciones/min: {inhale} segundos al inhalar y {exhale} al exhalar. Ahora es tu ritmo de respiración coherente.',
+                'assessment.basis.hrv': 'Fue el que dio la mayor oscilación del pulso.',
+                'assessment.basis.rating': 'Fue el ritmo que mejor valoraste.',
+                'assessment.noRecommendation': 'Valora al menos un paso, o conecta un pulsómetro, para obtener una recomendación.'
+            }
+        }
+    };
+
+    // The first language with a catalog, matching on the base language so es-MX picks es
+    function detectLocale(languages) {
+        const match = (languages || [])
+            .filter(language => typeof language === 'string')
+            .map(language => language.toLowerCase().split('-')[0])
+            .find(language => catalogs[language]);
+        return match || DEFAULT_LOCALE;
+    }
+
+    // Missing messages fall back to English, then to the key itself
+    function createTranslator(locale) {
+        const messages = (catalogs[locale] || catalogs[DEFAULT_LOCALE]).messages;
+        const pluralRules = new Intl.PluralRules(locale);
+        return function t(key, params = {}) {
+            let message = key in messages ? messages[key] : catalogs[DEFAULT_LOCALE].messages[key];
+            if (message === undefined) {
+                return key;
+            }
+            if (typeof message === 'object') {
+                message = message[pluralRules.select(Number(params.count))] || message.other;
+            }
+            return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+        };
+    }
+
+    const i18n = { catalogs, DEFAULT_LOCALE, detectLocale, createTranslator };
+    if (typeof module === 'object' && module.exports) {
+        module.exports = i18n;
+    } else {
+        root.i18n = i18n;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
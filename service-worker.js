@@ -1,26 +1,43 @@
-const CACHE_NAME = 'breathing-exercises-cache-v20'; // Versioned cache name
+const CACHE_NAME = 'breathing-exercises-cache-v55'; // Versioned cache name
 const urlsToCache = [
   './',
   './index.html',
+  './i18n.js',
+  './session-engine.js',
+  './breath-detector.js',
+  './heart-rate.js',
   './app.js',           // Replace with your app's JS file
   './manifest.json',    // Replace with your manifest file
+  './manifest.es.json',
   './icons/icon-192x192.PNG', // Adjusted to match actual filenames
-  './icons/icon-512x512.PNG'
+  './icons/icon-512x512.PNG',
+  // Home-screen shortcut entry points from manifest.json
+  './index.html?exercise=box&minutes=5&autostart=1',
+  './index.html?exercise=fourSevenEight&rounds=4&autostart=1',
+  './index.html?exercise=coherent&minutes=10&autostart=1',
+  './index.html?exercise=longExhale&minutes=5&autostart=1'
 ];
+// Set to true to log cache activity while debugging
+const DEBUG = false;
+function debugLog(...args) {
+  if (DEBUG) {
+    console.log(...args);
+  }
+}
 // Install event - cache assets
 self.addEventListener('install', event => {
   event.waitUntil(
     caches.open(CACHE_NAME)
       .then(cache => {
-        console.log('Opened cache:', CACHE_NAME);
+        debugLog('Opened cache:', CACHE_NAME);
         return cache.addAll(urlsToCache);
       })
       .catch(error => {
         console.error('Cache addAll failed:', error);
       })
   );
-  // Activate immediately
-  self.skipWaiting();
+  // A new version waits until the page asks for it with SKIP_WAITING,
+  // so it never replaces the app in the middle of a session
 });
 // Activate event - clean up old caches
 self.addEventListener('activate', event => {
@@ -30,7 +47,7 @@ self.addEventListener('activate', event => {
       return Promise.all(
         cacheNames.map(cacheName => {
           if (cacheWhitelist.indexOf(cacheName) === -1) {
-            console.log('Deleting old cache:', cacheName);
+            debugLog('Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
         })
@@ -41,40 +58,69 @@ self.addEventListener('activate', event => {
     })
   );
 });
-// Fetch event - serve from cache or network
+// App shell files are only ever stored by install, so a page can't pick up a version
+// the user hasn't accepted yet, or mix files from two versions
+const appShellPaths = new Set(urlsToCache.map(url => new URL(url, self.registration.scope).pathname));
+function isAppShell(request) {
+  const url = new URL(request.url);
+  return url.origin === self.location.origin && appShellPaths.has(url.pathname);
+}
+function navigationFallback(request) {
+  debugLog('Fetch failed, serving fallback:', request.url);
+  // Fallback to index.html for navigation requests
+  if (request.mode === 'navigate') {
+    return caches.match('./index.html');
+  }
+  return Response.error();
+}
+// Fetch event - serve the app shell from this version's cache, and other files from
+// the cache while revalidating them in the background
 self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        if (response) {
-          console.log('Serving from cache:', event.request.url);
-          return response;
-        }
-        // Clone the request for fetching
-        const fetchRequest = event.request.clone();
-        return fetch(fetchRequest)
-          .then(response => {
-            // Validate response
-            if (!response || response.status !== 200 || response.type !== 'basic') {
-              return response;
-            }
-            // Clone and cache the response
-            const responseToCache = response.clone();
-            caches.open(CACHE_NAME)
-              .then(cache => {
-                console.log('Caching new resource:', event.request.url);
-                cache.put(event.request, responseToCache);
-              });
+  if (event.request.method !== 'GET') {
+    return;
+  }
+  if (isAppShell(event.request)) {
+    // Launch parameters are read by the page, so any query string gets the cached page.
+    // The worker's own cache is used, not one a newer worker is still installing.
+    event.respondWith(
+      caches.open(CACHE_NAME)
+        .then(cache => cache.match(event.request, { ignoreSearch: true }))
+        .then(response => {
+          if (response) {
+            debugLog('Serving app shell from cache:', event.request.url);
             return response;
-          })
-          .catch(() => {
-            console.log('Fetch failed, serving fallback:', event.request.url);
-            // Fallback to index.html for navigation requests
-            if (event.request.mode === 'navigate') {
-              return caches.match('./index.html');
-            }
-          });
-      })
+          }
+          return fetch(event.request).catch(() => navigationFallback(event.request));
+        })
+    );
+    return;
+  }
+  const cachedResponse = caches.match(event.request);
+  const networkResponse = fetch(event.request.clone())
+    .then(response => {
+      // Validate response
+      if (!response || response.status !== 200 || response.type !== 'basic') {
+        return response;
+      }
+      // Clone and cache the response
+      const responseToCache = response.clone();
+      return caches.open(CACHE_NAME)
+        .then(cache => {
+          debugLog('Caching new resource:', event.request.url);
+          return cache.put(event.request, responseToCache);
+        })
+        .then(() => response);
+    });
+  // Keep the worker alive until the background refresh has been stored
+  event.waitUntil(networkResponse.catch(() => undefined));
+  event.respondWith(
+    cachedResponse.then(response => {
+      if (response) {
+        debugLog('Serving from cache:', event.request.url);
+        return response;
+      }
+      return networkResponse.catch(() => navigationFallback(event.request));
+    })
   );
 });
 // Handle skip waiting messages
@@ -83,3 +129,32 @@ self.addEventListener('message', event => {
     self.skipWaiting();
   }
 });
+// Reminder notifications open the app with their exercise selected. A window this worker
+// controls is sent the link and decides what to do with it, so a running session isn't
+// reloaded; any other window is taken to the link, and a new one opened if there is none.
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const data = event.notification.data || {};
+  const url = new URL(data.url || './index.html', self.registration.scope).href;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' })
+      .then(controlledClients => {
+        const client = controlledClients.find(windowClient => windowClient.focused) || controlledClients[0];
+        if (client) {
+          client.postMessage({ type: 'OPEN_REMINDER', url });
+          return client.focus();
+        }
+        return self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+          .then(windowClients => {
+            const otherClient = windowClients.find(windowClient => 'navigate' in windowClient);
+            if (!otherClient) {
+              return self.clients.openWindow(url);
+            }
+            // navigate() can reject for a window this worker doesn't control, so fall back to a new one
+            return otherClient.navigate(url)
+              .then(navigated => (navigated || otherClient).focus())
+              .catch(() => self.clients.openWindow(url));
+          });
+      })
+  );
+});
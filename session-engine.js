@@ -0,0 +1,297 @@
+// Session timing engine: turns elapsed time into the current phase, countdown, rounds and
+// the end of a session. Time only comes from the clock it is given, so the same logic runs
+// on performance.now() in the app and on a fake clock anywhere else.
+(function (root) {
+    // Sessions end after the exhale; custom patterns without one end after their last phase.
+    // Phases are matched on their kind, since the name is a translated label.
+    function getExhaleIndex(phases) {
+        const index = phases.findIndex(phase => phase.kind === 'exhale');
+        return index >= 0 ? index : phases.length - 1;
+    }
+
+    // Whole seconds left in the phase, except that a phase with a fractional length
+    // (e.g. 4.5 s) shows its full length until the fraction has passed
+    function getCountdown(duration, remaining) {
+        if (duration % 1 !== 0 && remaining > Math.floor(duration)) {
+            return duration;
+        }
+        return Math.ceil(remaining);
+    }
+
+    /**
+     * Creates the timing engine for one session.
+     *
+     * getPhases is called whenever the phases may have changed (a new cycle or stage), so
+     * progressive pacing and programs only need to update what it returns. Stages are
+     * { limitType: 'minutes' | 'rounds', limitValue } and move on after the exhale that
+     * follows their limit; onStageStart(index, boundaryElapsed, snapshot) runs first so
+     * the caller can switch exercise. onCycleStart(cycleStartElapsed) runs at every cycle
+     * boundary.
+     *
+     * Limits are judged at the phase boundary rather than at whichever frame or timer tick
+     * notices it, so a throttled background tab ends the session at the same exhale as a
+     * visible one, and getUpcomingBoundaries() can predict it.
+     *
+     * Events: phaseChange, tick, roundComplete and complete.
+     */
+    function createSessionEngine({
+        getPhases,
+        now = () => performance.now(),
+        targetRounds = 0,
+        timeLimitSeconds = 0,
+        stages = null,
+        onStageStart = null,
+        onCycleStart = null
+    }) {
+        const listeners = {};
+        let startTime = null;
+        let pausedAt = null;
+        let pausedDuration = 0;
+        let phaseStartElapsed = 0;
+        const snapshot = {
+            elapsed: 0,
+            totalTime: 0,
+            phaseIndex: 0,
+            progress: 0,
+            countdown: 0,
+            completedRounds: 0,
+            cycleStart: 0,
+            stageIndex: 0,
+            stageStart: 0,
+            stageRounds: 0,
+            timeLimitReached: false,
+            endRequested: false,
+            isComplete: false
+        };
+
+        function getSnapshot() {
+            return { ...snapshot };
+        }
+
+        function on(type, listener) {
+            (listeners[type] = listeners[type] || []).push(listener);
+        }
+
+        function emit(type, detail) {
+            (listeners[type] || []).forEach(listener => listener(detail));
+        }
+
+        // Elapsed session time in seconds, excluding any time spent paused
+        function getElapsedSeconds(time = now()) {
+            if (startTime === null) {
+                return 0;
+            }
+            const currentPause = pausedAt !== null ? time - pausedAt : 0;
+            return (time - startTime - pausedDuration - currentPause) / 1000;
+        }
+
+        function start(time = now()) {
+            startTime = time;
+            pausedAt = null;
+            pausedDuration = 0;
+            phaseStartElapsed = 0;
+            const firstPhase = getPhases()[0];
+            snapshot.countdown = getCountdown(firstPhase.duration, firstPhase.duration);
+        }
+
+        function pause(time = now()) {
+            if (pausedAt === null) {
+                pausedAt = time;
+            }
+        }
+
+        function resume(time = now()) {
+            if (pausedAt !== null) {
+                pausedDuration += time - pausedAt;
+                pausedAt = null;
+            }
+        }
+
+        // Ends the session (or stage) after the next exhale
+        function requestEnd() {
+            snapshot.endRequested = true;
+        }
+
+        function startNextStage(boundaryElapsed, previousIndex, elapsed) {
+            const stageIndex = snapshot.stageIndex + 1;
+            if (onStageStart) {
+                onStageStart(stageIndex, boundaryElapsed, getSnapshot());
+            }
+            phaseStartElapsed = boundaryElapsed;
+            Object.assign(snapshot, {
+                stageIndex,
+                stageStart: boundaryElapsed,
+                stageRounds: 0,
+                cycleStart: boundaryElapsed,
+                completedRounds: 0,
+                endRequested: false,
+                phaseIndex: 0,
+                progress: 0
+            });
+            const phases = getPhases();
+            snapshot.countdown = getCountdown(phases[0].duration, phases[0].duration);
+            const isLatest = boundaryElapsed + phases[0].duration > elapsed;
+            emit('phaseChange', { phaseIndex: 0, previousIndex, phase: phases[0], exhaleCompleted: true, stageChanged: true, boundaryElapsed, isLatest });
+        }
+
+        // Limits count as reached only if they were reached by the given session time
+        function checkLimits(limitElapsed) {
+            if (stages) {
+                const stage = stages[snapshot.stageIndex];
+                const stageLimitReached = stage.limitType === 'rounds'
+                    ? snapshot.stageRounds >= stage.limitValue
+                    : limitElapsed - snapshot.stageStart >= stage.limitValue * 60;
+                if (stageLimitReached) {
+                    snapshot.endRequested = true;
+                }
+            }
+            if (timeLimitSeconds > 0 && !snapshot.timeLimitReached && limitElapsed >= timeLimitSeconds) {
+                snapshot.timeLimitReached = true;
+                snapshot.endRequested = true;
+            }
+        }
+
+        // Moves from the current phase to the next at boundaryElapsed. Returns true if the
+        // session ended there.
+        function crossBoundary(boundaryElapsed, elapsed) {
+            let phases = getPhases();
+            const previousIndex = snapshot.phaseIndex;
+            const exhaleCompleted = previousIndex === getExhaleIndex(phases);
+            let index = previousIndex + 1;
+            phaseStartElapsed = boundaryElapsed;
+
+            // A round is complete when the last phase hands back to the first
+            if (index >= phases.length) {
+                index = 0;
+                snapshot.completedRounds++;
+                emit('roundComplete', { rounds: snapshot.completedRounds, elapsed: boundaryElapsed });
+                if (targetRounds > 0 && snapshot.completedRounds >= targetRounds) {
+                    snapshot.endRequested = true;
+                }
+            }
+            snapshot.phaseIndex = index;
+            if (stages && exhaleCompleted) {
+                snapshot.stageRounds++;
+            }
+            checkLimits(boundaryElapsed);
+
+            // Stage changes and endings are aligned to exhale completion
+            if (exhaleCompleted && snapshot.endRequested) {
+                if (stages && snapshot.stageIndex < stages.length - 1) {
+                    startNextStage(boundaryElapsed, previousIndex, elapsed);
+                    return false;
+                }
+                snapshot.isComplete = true;
+                emit('complete', { elapsed, exhaleIndex: previousIndex, phaseIndex: index, boundaryElapsed });
+                return true;
+            }
+
+            // Pace changes land on a cycle boundary
+            if (index === 0) {
+                snapshot.cycleStart = boundaryElapsed;
+                if (onCycleStart) {
+                    onCycleStart(boundaryElapsed);
+                    phases = getPhases();
+                }
+            }
+            // isLatest is false for boundaries a late update has already moved past
+            const isLatest = boundaryElapsed + phases[index].duration > elapsed;
+            emit('phaseChange', { phaseIndex: index, previousIndex, phase: phases[index], exhaleCompleted, stageChanged: false, boundaryElapsed, isLatest });
+            return false;
+        }
+
+        function update(time = now()) {
+            if (startTime === null || snapshot.isComplete) {
+                return getSnapshot();
+            }
+            const elapsed = getElapsedSeconds(time);
+            snapshot.elapsed = elapsed;
+            snapshot.totalTime = Math.floor(elapsed);
+
+            // Every boundary since the last update is crossed in turn, so an update that comes
+            // late (a throttled background tab) counts the same rounds and ends at the same exhale
+            let boundary = phaseStartElapsed + getPhases()[snapshot.phaseIndex].duration;
+            while (boundary <= elapsed) {
+                if (crossBoundary(boundary, elapsed)) {
+                    return getSnapshot();
+                }
+                boundary = phaseStartElapsed + getPhases()[snapshot.phaseIndex].duration;
+            }
+
+            const duration = getPhases()[snapshot.phaseIndex].duration;
+            const phaseElapsed = elapsed - phaseStartElapsed;
+            snapshot.progress = phaseElapsed / duration;
+            snapshot.countdown = getCountdown(duration, duration - phaseElapsed);
+            checkLimits(elapsed);
+
+            const result = getSnapshot();
+            emit('tick', result);
+            return result;
+        }
+
+        /**
+         * Phase boundaries from now until untilElapsed, projected with the current phases so
+         * cues can be scheduled ahead. Each is { elapsed, phaseIndex, phase, isFinal }. The
+         * projection stops where it cannot see ahead: the end of the session, a stage change
+         * (which is left out), or a cycle boundary when onCycleStart may change the pace.
+         */
+        function getUpcomingBoundaries(untilElapsed) {
+            const boundaries = [];
+            if (startTime === null || snapshot.isComplete) {
+                return boundaries;
+            }
+            const phases = getPhases();
+            const exhaleIndex = getExhaleIndex(phases);
+            let index = snapshot.phaseIndex;
+            let boundary = phaseStartElapsed + phases[index].duration;
+            let rounds = snapshot.completedRounds;
+            let stageRounds = snapshot.stageRounds;
+            let endRequested = snapshot.endRequested;
+
+            while (boundary <= untilElapsed) {
+                const exhaleCompleted = index === exhaleIndex;
+                index = (index + 1) % phases.length;
+                if (index === 0) {
+                    rounds++;
+                    if (targetRounds > 0 && rounds >= targetRounds) {
+                        endRequested = true;
+                    }
+                }
+                if (stages) {
+                    const stage = stages[snapshot.stageIndex];
+                    if (exhaleCompleted) {
+                        stageRounds++;
+                    }
+                    const stageLimitReached = stage.limitType === 'rounds'
+                        ? stageRounds >= stage.limitValue
+                        : boundary - snapshot.stageStart >= stage.limitValue * 60;
+                    if (stageLimitReached) {
+                        endRequested = true;
+                    }
+                }
+                if (timeLimitSeconds > 0 && boundary >= timeLimitSeconds) {
+                    endRequested = true;
+                }
+                const isEnding = exhaleCompleted && endRequested;
+                const isFinal = isEnding && !(stages && snapshot.stageIndex < stages.length - 1);
+                if (isEnding && !isFinal) {
+                    break;
+                }
+                boundaries.push({ elapsed: boundary, phaseIndex: index, phase: phases[index], isFinal });
+                if (isFinal || (index === 0 && onCycleStart)) {
+                    break;
+                }
+                boundary += phases[index].duration;
+            }
+            return boundaries;
+        }
+
+        return { on, start, pause, resume, update, requestEnd, getElapsedSeconds, getSnapshot, getUpcomingBoundaries };
+    }
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = { createSessionEngine, getCountdown, getExhaleIndex };
+    } else {
+        root.createSessionEngine = createSessionEngine;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
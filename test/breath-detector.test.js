@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createBreathDetector, createAdherenceScorer, analyzeRecording } = require('../breath-detector.js');
+
+// Reads an 8-bit mono WAV file into samples in -1..1
+function readWav(file) {
+    const buffer = fs.readFileSync(path.join(__dirname, 'fixtures', file));
+    let offset = 12;
+    let sampleRate = 0;
+    while (offset < buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        if (id === 'fmt ') {
+            sampleRate = buffer.readUInt32LE(offset + 12);
+        } else if (id === 'data') {
+            const bytes = buffer.subarray(offset + 8, offset + 8 + size);
+            return { sampleRate, samples: Float32Array.from(bytes, byte => (byte - 128) / 128) };
+        }
+        offset += 8 + size;
+    }
+    throw new Error(`No audio data in ${file}`);
+}
+
+// The guided phase at a time for a pattern of [kind, seconds] repeated from the start
+function createGuide(pattern) {
+    const cycleTime = pattern.reduce((sum, [, seconds]) => sum + seconds, 0);
+    return (time) => {
+        let position = time % cycleTime;
+        for (const [kind, seconds] of pattern) {
+            if (position < seconds) {
+                return { kind, elapsed: position };
+            }
+            position -= seconds;
+        }
+        return { kind: pattern[pattern.length - 1][0], elapsed: 0 };
+    };
+}
+
+const boxGuide = createGuide([['inhale', 4], ['hold', 4], ['exhale', 4], ['rest', 4]]);
+// The recording is box breathing, so this guide asks for the opposite most of the time
+const evenGuide = createGuide([['inhale', 4], ['exhale', 4]]);
+const frames = { frameSize: 128, hopSize: 64 };
+
+test('the box breathing recording is detected as inhale, quiet and exhale in turn', () => {
+    const { samples, sampleRate } = readWav('box-breathing.wav');
+    const { timeline } = analyzeRecording({ samples, sampleRate, getPhase: boxGuide, ...frames });
+    const stateAt = (time) => timeline.reduce((closest, entry) => (
+        Math.abs(entry.time - time) < Math.abs(closest.time - time) ? entry : closest
+    )).state;
+    // After the first cycle the floor and peak have settled
+    for (let cycle = 1; cycle < 4; cycle++) {
+        const start = cycle * 16;
+        assert.equal(stateAt(start + 2), 'inhale', `inhale in cycle ${cycle + 1}`);
+        assert.equal(stateAt(start + 6), 'quiet', `hold in cycle ${cycle + 1}`);
+        assert.equal(stateAt(start + 10), 'exhale', `exhale in cycle ${cycle + 1}`);
+        assert.equal(stateAt(start + 14), 'quiet', `rest in cycle ${cycle + 1}`);
+    }
+});
+
+test('breathing that follows the guide scores high adherence', () => {
+    const { samples, sampleRate } = readWav('box-breathing.wav');
+    const { adherence, scoredSeconds } = analyzeRecording({ samples, sampleRate, getPhase: boxGuide, ...frames });
+    assert.ok(scoredSeconds > 40);
+    assert.ok(adherence > 0.8, `adherence ${adherence}`);
+});
+
+test('breathing that does not follow the guide scores low adherence', () => {
+    const { samples, sampleRate } = readWav('box-breathing.wav');
+    const { adherence } = analyzeRecording({ samples, sampleRate, getPhase: evenGuide, ...frames });
+    assert.ok(adherence < 0.4, `adherence ${adherence}`);
+});
+
+test('silence stays quiet', () => {
+    const detector = createBreathDetector();
+    const silence = new Float32Array(256);
+    for (let time = 0.1; time < 5; time += 0.1) {
+        assert.equal(detector.process(silence, time).state, 'quiet');
+    }
+});
+
+test('the scorer skips the start of each phase and waits for enough scored time', () => {
+    const scorer = createAdherenceScorer({ minScoredSeconds: 1 });
+    // Within the grace period nothing is scored
+    scorer.add('inhale', 'exhale', 0.2, 0);
+    scorer.add('inhale', 'exhale', 0.5, 0.25);
+    assert.deepEqual(scorer.getResult(), { adherence: null, scoredSeconds: 0 });
+    for (let i = 1; i <= 8; i++) {
+        scorer.add('inhale', i <= 6 ? 'inhale' : 'quiet', 1 + i * 0.25, 0.25 + i * 0.25);
+    }
+    const { adherence, scoredSeconds } = scorer.getResult();
+    assert.equal(scoredSeconds, 2);
+    assert.equal(adherence, 0.75);
+});
+
+test('a long gap between samples only counts for the maximum step', () => {
+    const scorer = createAdherenceScorer({ minScoredSeconds: 0 });
+    scorer.add('exhale', 'exhale', 2, 0);
+    scorer.add('exhale', 'exhale', 2, 30);
+    assert.equal(scorer.getResult().scoredSeconds, 0.25);
+});
@@ -0,0 +1,62 @@
+// Writes box-breathing.wav: four cycles of box breathing (4 s each of inhale, hold, exhale
+// and rest) as breath noise over a quiet room, 1 kHz 8-bit mono. Exhales are louder than
+// inhales and holds are silent, as breath-detector.js expects from a microphone.
+// Run with node test/fixtures/generate-breath-recording.js; the output is the same every time.
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_RATE = 1000;
+const EDGE_SECONDS = 0.3;
+const ROOM_LEVEL = 0.01;
+const levels = { inhale: 0.12, hold: 0, exhale: 0.4, rest: 0 };
+const pattern = ['inhale', 'hold', 'exhale', 'rest'];
+const PHASE_SECONDS = 4;
+const CYCLES = 4;
+
+// Small seeded generator (mulberry32) so the noise is reproducible
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createSamples() {
+    const random = createRandom(17);
+    const phaseSamples = PHASE_SECONDS * SAMPLE_RATE;
+    const samples = new Float32Array(phaseSamples * pattern.length * CYCLES);
+    for (let i = 0; i < samples.length; i++) {
+        const phase = Math.floor(i / phaseSamples) % pattern.length;
+        const position = (i % phaseSamples) / SAMPLE_RATE;
+        // Breath noise fades in and out at the edges of each phase
+        const edge = Math.min(1, position / EDGE_SECONDS, (PHASE_SECONDS - position) / EDGE_SECONDS);
+        const level = ROOM_LEVEL + levels[pattern[phase]] * edge;
+        samples[i] = (random() * 2 - 1) * level * Math.sqrt(3);
+    }
+    return samples;
+}
+
+function encodeWav(samples) {
+    const buffer = Buffer.alloc(44 + samples.length);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + samples.length, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(SAMPLE_RATE, 28);
+    buffer.writeUInt16LE(1, 32);
+    buffer.writeUInt16LE(8, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(samples.length, 40);
+    samples.forEach((sample, i) => {
+        buffer.writeUInt8(Math.max(0, Math.min(255, Math.round(128 + sample * 127))), 44 + i);
+    });
+    return buffer;
+}
+
+fs.writeFileSync(path.join(__dirname, 'box-breathing.wav'), encodeWav(createSamples()));
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const heartRate = require('../heart-rate.js');
+const measurements = require('./fixtures/heart-rate-measurements.json');
+const resonance = require('./fixtures/rr-resonance.json');
+
+function toDataView(bytes) {
+    return new DataView(Uint8Array.from(bytes).buffer);
+}
+
+measurements.forEach(({ description, bytes, expected }) => {
+    test(`parses a measurement: ${description}`, () => {
+        assert.deepEqual(heartRate.parseHeartRateMeasurement(toDataView(bytes)), expected);
+    });
+});
+
+test('RMSSD and SDNN match values worked out by hand', () => {
+    // Successive differences 10, -20, 10; deviations from the 800 ms mean 0, 10, -10, 0
+    const rr = [800, 810, 790, 800];
+    assert.equal(heartRate.computeRmssd(rr), Math.sqrt(200));
+    const metrics = heartRate.computeHrvMetrics(rr);
+    assert.equal(metrics.beats, 4);
+    assert.equal(metrics.meanHeartRate, 75);
+    assert.equal(metrics.rmssd, Math.sqrt(200));
+    assert.equal(metrics.sdnn, Math.sqrt(200 / 3));
+    // Too short for the spectral metrics
+    assert.equal(metrics.coherence, null);
+    assert.equal(metrics.peakToTrough, null);
+});
+
+test('too few beats give null metrics', () => {
+    assert.equal(heartRate.computeRmssd([800]), null);
+    const metrics = heartRate.computeHrvMetrics([]);
+    assert.equal(metrics.beats, 0);
+    assert.equal(metrics.meanHeartRate, null);
+    assert.equal(metrics.sdnn, null);
+});
+
+test('artifacts are dropped without losing the beats around them', () => {
+    assert.deepEqual(heartRate.cleanRrIntervals([800, 250, 810, 2500, 805, NaN, 795]), [800, 810, 805, 795]);
+    // An ectopic beat and its compensatory pause
+    assert.deepEqual(heartRate.cleanRrIntervals([800, 810, 800, 560, 1180, 805, 795, 800]), [800, 810, 800, 805, 795, 800]);
+});
+
+test('an artifact at the start does not discard the rest of the recording', () => {
+    const rr = [1400, ...Array.from({ length: 60 }, (_, i) => (i % 2 === 0 ? 785 : 815))];
+    assert.equal(heartRate.cleanRrIntervals(rr).length, 60);
+    const metrics = heartRate.computeHrvMetrics(rr);
+    assert.equal(metrics.meanHeartRate, 75);
+    assert.equal(metrics.rmssd, 30);
+    assert.ok(metrics.coherence !== null);
+});
+
+test('a recording at resonance shows a strong rhythm at the breathing rate', () => {
+    const metrics = heartRate.computeHrvMetrics(resonance.rrIntervals, { breathsPerMinute: resonance.breathsPerMinute });
+    assert.equal(metrics.beats, resonance.rrIntervals.length - 2);
+    assert.ok(Math.abs(metrics.meanHeartRate - 60) < 0.5, `mean heart rate ${metrics.meanHeartRate}`);
+    assert.ok(Math.abs(metrics.peakFrequency - 0.1) < 0.01, `peak frequency ${metrics.peakFrequency}`);
+    assert.ok(metrics.coherence > 0.9, `coherence ${metrics.coherence}`);
+    // Heart rate swings between about 55 and 65 bpm with each breath
+    assert.ok(Math.abs(metrics.peakToTrough - 10) < 1, `peak to trough ${metrics.peakToTrough}`);
+});
+
+// A monitor that behaves like a Web Bluetooth device offering the Heart Rate Service.
+// failAt names a setup step that rejects.
+function createMockBluetooth({ failAt = null, name = 'Chest Strap' } = {}) {
+    const characteristic = new EventTarget();
+    characteristic.startNotifications = () => (failAt === 'startNotifications'
+        ? Promise.reject(new Error('Notifications failed'))
+        : Promise.resolve(characteristic));
+    const service = {
+        getCharacteristic: (uuid) => (failAt === 'getCharacteristic'
+            ? Promise.reject(new Error('No characteristic'))
+            : Promise.resolve(uuid === heartRate.HEART_RATE_MEASUREMENT ? characteristic : null))
+    };
+    const device = new EventTarget();
+    device.name = name;
+    device.gatt = {
+        connected: false,
+        connect() {
+            device.gatt.connected = true;
+            return Promise.resolve({
+                getPrimaryService: (uuid) => (failAt === 'getPrimaryService'
+                    ? Promise.reject(new Error('No service'))
+                    : Promise.resolve(uuid === heartRate.HEART_RATE_SERVICE ? service : null))
+            });
+        },
+        disconnect() {
+            device.gatt.connected = false;
+        }
+    };
+    const bluetooth = {
+        requests: [],
+        requestDevice(options) {
+            bluetooth.requests.push(options);
+            if (failAt === 'requestDevice') {
+                const error = new Error('User cancelled the requestDevice() chooser.');
+                error.name = 'NotFoundError';
+                return Promise.reject(error);
+            }
+            return Promise.resolve(device);
+        }
+    };
+    const send = (bytes) => {
+        characteristic.value = toDataView(bytes);
+        characteristic.dispatchEvent(new Event('characteristicvaluechanged'));
+    };
+    const drop = () => {
+        device.gatt.connected = false;
+        device.dispatchEvent(new Event('gattserverdisconnected'));
+    };
+    return { bluetooth, device, send, drop };
+}
+
+test('connects to a monitor and passes on its measurements', async () => {
+    const mock = createMockBluetooth();
+    const received = [];
+    const connection = await heartRate.connectHeartRateMonitor({
+        bluetooth: mock.bluetooth,
+        onMeasurement: measurement => received.push(measurement)
+    });
+    assert.equal(connection.name, 'Chest Strap');
+    assert.deepEqual(mock.bluetooth.requests, [{ filters: [{ services: [heartRate.HEART_RATE_SERVICE] }] }]);
+    mock.send(measurements[2].bytes);
+    assert.deepEqual(received, [measurements[2].expected]);
+
+    connection.disconnect();
+    assert.equal(mock.device.gatt.connected, false);
+    mock.send(measurements[0].bytes);
+    assert.equal(received.length, 1);
+});
+
+test('reports a monitor that goes away and stops listening to it', async () => {
+    const mock = createMockBluetooth();
+    const received = [];
+    let disconnects = 0;
+    await heartRate.connectHeartRateMonitor({
+        bluetooth: mock.bluetooth,
+        onMeasurement: measurement => received.push(measurement),
+        onDisconnect: () => disconnects++
+    });
+    mock.drop();
+    assert.equal(disconnects, 1);
+    mock.send(measurements[0].bytes);
+    assert.equal(received.length, 0);
+});
+
+['getPrimaryService', 'getCharacteristic', 'startNotifications'].forEach(failAt => {
+    test(`disconnects and stops listening when ${failAt} fails`, async () => {
+        const mock = createMockBluetooth({ failAt });
+        const received = [];
+        let disconnects = 0;
+        await assert.rejects(heartRate.connectHeartRateMonitor({
+            bluetooth: mock.bluetooth,
+            onMeasurement: measurement => received.push(measurement),
+            onDisconnect: () => disconnects++
+        }));
+        assert.equal(mock.device.gatt.connected, false);
+        mock.send(measurements[0].bytes);
+        mock.drop();
+        assert.equal(received.length, 0);
+        assert.equal(disconnects, 0);
+    });
+});
+
+test('passes on the error when no monitor is chosen', async () => {
+    const mock = createMockBluetooth({ failAt: 'requestDevice' });
+    await assert.rejects(
+        heartRate.connectHeartRateMonitor({ bluetooth: mock.bluetooth, onMeasurement: () => {} }),
+        { name: 'NotFoundError' }
+    );
+});
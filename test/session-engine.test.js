@@ -0,0 +1,278 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionEngine, getCountdown } = require('../session-engine.js');
+
+function createPhases(...pattern) {
+    return pattern.map(([kind, duration]) => ({ name: kind, kind, duration }));
+}
+
+const exercises = {
+    box: createPhases(['inhale', 4], ['hold', 4], ['exhale', 4], ['rest', 4]),
+    fourSevenEight: createPhases(['inhale', 4], ['hold', 7], ['exhale', 8]),
+    longExhale: createPhases(['inhale', 4], ['exhale', 6]),
+    coherent: createPhases(['inhale', 5.5], ['exhale', 5.5])
+};
+
+// Runs a session on a fake clock, updating every step seconds until it completes or
+// until the given number of seconds has passed
+function runSession(phases, { step = 0.25, until = 600, ...options } = {}) {
+    let clock = 0;
+    const engine = createSessionEngine({ getPhases: () => phases, now: () => clock, ...options });
+    const events = [];
+    ['phaseChange', 'roundComplete', 'complete'].forEach(type => {
+        engine.on(type, detail => events.push({ type, ...detail }));
+    });
+    engine.start(0);
+    for (let i = 1; !engine.getSnapshot().isComplete && i * step <= until; i++) {
+        clock = i * step * 1000;
+        engine.update();
+    }
+    const complete = events.find(event => event.type === 'complete');
+    return { engine, events, complete, snapshot: engine.getSnapshot() };
+}
+
+function phaseKinds(phases, events) {
+    return events.filter(event => event.type === 'phaseChange').map(event => phases[event.phaseIndex].kind);
+}
+
+test('getCountdown shows whole seconds, and the full length of a fractional phase until its fraction passes', () => {
+    assert.equal(getCountdown(4, 4), 4);
+    assert.equal(getCountdown(4, 3.2), 4);
+    assert.equal(getCountdown(4, 0.1), 1);
+    assert.equal(getCountdown(4.5, 4.5), 4.5);
+    assert.equal(getCountdown(4.5, 4.1), 4.5);
+    assert.equal(getCountdown(4.5, 3.9), 4);
+});
+
+test('box breathing moves through its phases in order with whole-second countdowns', () => {
+    let clock = 0;
+    const engine = createSessionEngine({ getPhases: () => exercises.box, now: () => clock });
+    engine.start(0);
+    const at = (seconds) => {
+        clock = seconds * 1000;
+        return engine.update();
+    };
+    assert.deepEqual([at(0.5).phaseIndex, at(0.5).countdown], [0, 4]);
+    assert.deepEqual([at(3.5).phaseIndex, at(3.5).countdown], [0, 1]);
+    assert.deepEqual([at(4.2).phaseIndex, at(4.2).countdown], [1, 4]);
+    assert.deepEqual([at(9).phaseIndex, at(9).countdown], [2, 3]);
+    assert.deepEqual([at(15.9).phaseIndex, at(15.9).countdown], [3, 1]);
+    const snapshot = at(16.1);
+    assert.equal(snapshot.phaseIndex, 0);
+    assert.equal(snapshot.completedRounds, 1);
+
+    const { events } = runSession(exercises.box, { until: 32 });
+    assert.deepEqual(phaseKinds(exercises.box, events), [
+        'hold', 'exhale', 'rest', 'inhale', 'hold', 'exhale', 'rest', 'inhale'
+    ]);
+});
+
+test('fractional phases such as 4.5 s change at the exact boundary', () => {
+    const phases = createPhases(['inhale', 4.5], ['exhale', 4.5]);
+    let clock = 0;
+    const engine = createSessionEngine({ getPhases: () => phases, now: () => clock });
+    engine.start(0);
+    const at = (seconds) => {
+        clock = seconds * 1000;
+        return engine.update();
+    };
+    assert.deepEqual([at(0.2).phaseIndex, at(0.2).countdown], [0, 4.5]);
+    assert.deepEqual([at(0.6).phaseIndex, at(0.6).countdown], [0, 4]);
+    assert.deepEqual([at(4.4).phaseIndex, at(4.4).countdown], [0, 1]);
+    assert.deepEqual([at(4.6).phaseIndex, at(4.6).countdown], [1, 4.5]);
+    assert.equal(at(9.1).completedRounds, 1);
+
+    const { complete, snapshot } = runSession(phases, { step: 0.1, timeLimitSeconds: 60 });
+    // 60 s falls inside the exhale ending at 63 s
+    assert.equal(complete.boundaryElapsed, 63);
+    assert.equal(snapshot.completedRounds, 7);
+});
+
+test('4-7-8 ends on the exhale that completes the target rounds', () => {
+    const { events, complete, snapshot } = runSession(exercises.fourSevenEight, { targetRounds: 4 });
+    assert.equal(complete.boundaryElapsed, 76);
+    assert.equal(complete.exhaleIndex, 2);
+    assert.equal(snapshot.completedRounds, 4);
+    assert.deepEqual(events.filter(event => event.type === 'roundComplete').map(event => event.rounds), [1, 2, 3, 4]);
+    assert.deepEqual(phaseKinds(exercises.fourSevenEight, events).slice(0, 6), [
+        'hold', 'exhale', 'inhale', 'hold', 'exhale', 'inhale'
+    ]);
+});
+
+test('long exhale ends after the exhale in progress when the time limit passes', () => {
+    const exact = runSession(exercises.longExhale, { timeLimitSeconds: 60 });
+    assert.equal(exact.complete.boundaryElapsed, 60);
+    assert.equal(exact.snapshot.timeLimitReached, true);
+    assert.equal(exact.snapshot.completedRounds, 6);
+
+    // The limit passes during the exhale from 54 s to 60 s
+    const during = runSession(exercises.longExhale, { timeLimitSeconds: 55 });
+    assert.equal(during.complete.boundaryElapsed, 60);
+    assert.equal(during.snapshot.completedRounds, 6);
+});
+
+test('the time limit is flagged as soon as it passes, before the session ends', () => {
+    let clock = 0;
+    const engine = createSessionEngine({ getPhases: () => exercises.longExhale, now: () => clock, timeLimitSeconds: 55 });
+    engine.start(0);
+    clock = 56000;
+    const snapshot = engine.update();
+    assert.equal(snapshot.timeLimitReached, true);
+    assert.equal(snapshot.isComplete, false);
+    clock = 60100;
+    assert.equal(engine.update().isComplete, true);
+});
+
+test('coherent breathing ends after the exhale once the time limit passes', () => {
+    const { complete, snapshot } = runSession(exercises.coherent, { timeLimitSeconds: 120 });
+    // Eleven 11 s cycles end at 121 s
+    assert.equal(complete.boundaryElapsed, 121);
+    assert.equal(snapshot.completedRounds, 11);
+});
+
+test('a custom pattern ends after its exhale, even when more phases follow it', () => {
+    const phases = createPhases(['inhale', 3], ['exhale', 4.5], ['hold', 1.5]);
+    const { events, complete, snapshot } = runSession(phases, { timeLimitSeconds: 20 });
+    assert.deepEqual(phaseKinds(phases, events).slice(0, 4), ['exhale', 'hold', 'inhale', 'exhale']);
+    // Cycles are 9 s; the exhale in progress at 20 s ends at 18 + 7.5
+    assert.equal(complete.boundaryElapsed, 25.5);
+    assert.equal(complete.exhaleIndex, 1);
+    assert.equal(snapshot.completedRounds, 2);
+});
+
+test('a custom pattern without an exhale ends after its last phase', () => {
+    const phases = createPhases(['inhale', 3], ['hold', 2]);
+    const { complete, snapshot } = runSession(phases, { targetRounds: 3 });
+    assert.equal(complete.boundaryElapsed, 15);
+    assert.equal(complete.exhaleIndex, 1);
+    assert.equal(snapshot.completedRounds, 3);
+});
+
+test('time spent paused does not count', () => {
+    let clock = 0;
+    const engine = createSessionEngine({ getPhases: () => exercises.box, now: () => clock });
+    engine.start(0);
+    clock = 2000;
+    engine.update();
+    engine.pause();
+    clock = 30000;
+    engine.resume();
+    clock = 31000;
+    const snapshot = engine.update();
+    assert.equal(snapshot.totalTime, 3);
+    assert.equal(snapshot.phaseIndex, 0);
+});
+
+test('requestEnd finishes the session after the next exhale', () => {
+    let clock = 0;
+    const engine = createSessionEngine({ getPhases: () => exercises.box, now: () => clock });
+    const completions = [];
+    engine.on('complete', detail => completions.push(detail));
+    engine.start(0);
+    clock = 1000;
+    engine.update();
+    engine.requestEnd();
+    clock = 11000;
+    engine.update();
+    assert.equal(completions.length, 0);
+    clock = 12100;
+    engine.update();
+    assert.equal(completions.length, 1);
+    assert.equal(completions[0].boundaryElapsed, 12);
+});
+
+// Background tabs throttle timers to once a second or less often, so one update can span
+// several phases or whole cycles
+test('coarse updates count every round and end on the same exhale as frequent ones', () => {
+    const cases = [
+        { phases: exercises.fourSevenEight, options: { targetRounds: 4 } },
+        { phases: exercises.box, options: { timeLimitSeconds: 60 } },
+        { phases: exercises.longExhale, options: { timeLimitSeconds: 55 } },
+        { phases: exercises.coherent, options: { timeLimitSeconds: 120 } }
+    ];
+    cases.forEach(({ phases, options }) => {
+        const expected = runSession(phases, { ...options, step: 1 / 60 });
+        [1, 5, 16, 20, 37].forEach(step => {
+            const { complete, snapshot, events } = runSession(phases, { ...options, step });
+            assert.ok(complete, `completes with ${step} s updates`);
+            assert.equal(complete.boundaryElapsed, expected.complete.boundaryElapsed);
+            assert.equal(snapshot.completedRounds, expected.snapshot.completedRounds);
+            assert.equal(snapshot.timeLimitReached, expected.snapshot.timeLimitReached);
+            assert.deepEqual(phaseKinds(phases, events), phaseKinds(phases, expected.events));
+        });
+    });
+});
+
+test('4-7-8 with 20 s updates completes four rounds', () => {
+    const { complete, snapshot } = runSession(exercises.fourSevenEight, { targetRounds: 4, step: 20 });
+    assert.equal(snapshot.completedRounds, 4);
+    assert.equal(complete.boundaryElapsed, 76);
+});
+
+test('box with a 60 s limit and 16 s updates completes at the 60 s exhale', () => {
+    const { complete, snapshot } = runSession(exercises.box, { timeLimitSeconds: 60, step: 16 });
+    assert.equal(snapshot.timeLimitReached, true);
+    assert.equal(complete.boundaryElapsed, 60);
+    assert.equal(complete.elapsed, 64);
+});
+
+test('only the last phase change of a late update is marked latest', () => {
+    const { events } = runSession(exercises.box, { step: 10, until: 10 });
+    const changes = events.filter(event => event.type === 'phaseChange');
+    assert.deepEqual(changes.map(event => [event.boundaryElapsed, event.isLatest]), [[4, false], [8, true]]);
+});
+
+test('stages move on after the exhale that follows their limit, across coarse updates', () => {
+    const stages = [
+        { limitType: 'rounds', limitValue: 2 },
+        { limitType: 'minutes', limitValue: 0.5 }
+    ];
+    [0.25, 7, 30].forEach(step => {
+        let phases = exercises.fourSevenEight;
+        const started = [];
+        const { complete, events } = runSession(phases, {
+            step,
+            stages,
+            getPhases: () => phases,
+            onStageStart: (index, boundaryElapsed) => {
+                started.push([index, boundaryElapsed]);
+                phases = exercises.coherent;
+            }
+        });
+        // Two 19 s rounds of 4-7-8, then coherent from 38 s
+        assert.deepEqual(started, [[1, 38]]);
+        const stageChange = events.find(event => event.stageChanged);
+        assert.equal(stageChange.boundaryElapsed, 38);
+        // The 30 s stage passes its limit at 68 s, inside the exhale ending at 71 s
+        assert.equal(complete.boundaryElapsed, 71);
+    });
+});
+
+test('onCycleStart can change the pace for the next cycle', () => {
+    let phases = exercises.coherent;
+    const cycleStarts = [];
+    const { events } = runSession(phases, {
+        until: 25,
+        step: 3,
+        getPhases: () => phases,
+        onCycleStart: (elapsed) => {
+            cycleStarts.push(elapsed);
+            phases = createPhases(['inhale', 4], ['exhale', 4]);
+        }
+    });
+    assert.deepEqual(cycleStarts, [11, 19]);
+    assert.deepEqual(events.filter(event => event.type === 'phaseChange').map(event => event.boundaryElapsed), [5.5, 11, 15, 19, 23]);
+});
+
+test('upcoming boundaries predict the final exhale', () => {
+    let clock = 0;
+    const engine = createSessionEngine({ getPhases: () => exercises.fourSevenEight, now: () => clock, targetRounds: 2 });
+    engine.start(0);
+    clock = 1000;
+    engine.update();
+    const boundaries = engine.getUpcomingBoundaries(100);
+    assert.deepEqual(boundaries.map(boundary => boundary.elapsed), [4, 11, 19, 23, 30, 38]);
+    assert.equal(boundaries[boundaries.length - 1].isFinal, true);
+    const { complete } = runSession(exercises.fourSevenEight, { targetRounds: 2, step: 9 });
+    assert.equal(complete.boundaryElapsed, 38);
+});